@@ -0,0 +1,78 @@
+const JsonStore = require('../utils/JsonStore');
+
+class AccessControl {
+  constructor(filePath, logger, options = {}) {
+    this.store = new JsonStore(filePath, logger);
+    this.logger = logger;
+    // 'open': everyone but banned users, 'allowlist': only admins and allowed users
+    this.mode = options.mode || 'open';
+    this.adminUserIds = new Set((options.adminUserIds || []).map(id => id.toString()));
+    this.configuredUserIds = new Set((options.allowedUserIds || []).map(id => id.toString())); // ALLOWED_USER_IDS
+    const data = this.store.load({ allowed: [], banned: [], seen: [] });
+    this.allowed = new Set(data.allowed || []); // Added with /allow
+    this.banned = new Set(data.banned || []);
+    this.seen = new Set(data.seen || []); // Users who have tried the bot, so admins hear about each one once
+  }
+
+  check(userId) {
+    // Returns 'allowed', 'banned' or 'not_allowed'
+    const id = userId.toString();
+    if (this.adminUserIds.has(id)) {
+      return 'allowed';
+    }
+    if (this.banned.has(id)) {
+      return 'banned';
+    }
+    if (this.mode === 'open' || this.configuredUserIds.has(id) || this.allowed.has(id)) {
+      return 'allowed';
+    }
+    return 'not_allowed';
+  }
+
+  markSeen(userId) {
+    // True the first time a (non-admin) user shows up
+    const id = userId.toString();
+    if (this.adminUserIds.has(id) || this.seen.has(id)) {
+      return false;
+    }
+    this.seen.add(id);
+    this.flush();
+    return true;
+  }
+
+  ban(userId) {
+    const id = userId.toString();
+    if (this.adminUserIds.has(id)) {
+      return false; // Admins can't lock each other out
+    }
+    this.banned.add(id);
+    this.allowed.delete(id);
+    this.flush();
+    this.logger.log('INFO', `Access: banned user ${id}`);
+    return true;
+  }
+
+  unban(userId) {
+    const id = userId.toString();
+    const wasBanned = this.banned.delete(id);
+    this.flush();
+    this.logger.log('INFO', `Access: unbanned user ${id}`);
+    return wasBanned;
+  }
+
+  allow(userId) {
+    // Allowing a banned user lifts the ban too
+    const id = userId.toString();
+    this.allowed.add(id);
+    this.banned.delete(id);
+    this.flush();
+    this.logger.log('INFO', `Access: allowed user ${id}`);
+    return true;
+  }
+
+  flush() {
+    this.store.save({ allowed: [...this.allowed], banned: [...this.banned], seen: [...this.seen] });
+  }
+}
+
+module.exports = AccessControl;
@@ -0,0 +1,150 @@
+const path = require('path');
+const TelegramAuthenticator = require('./TelegramAuthenticator');
+const SessionManager = require('./SessionManager');
+
+class AccountPool {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.accounts = [];
+
+    // The primary session comes first, additional sessions follow in configured order.
+    // Accounts are named after their session file, and the ledger and /health tell them apart by it
+    this.sessions = [config.sessionPath, ...config.additionalSessionPaths].map(sessionPath => ({
+      sessionPath,
+      name: path.basename(sessionPath, path.extname(sessionPath))
+    }));
+    const names = this.sessions.map(session => session.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`Two session files are named "${duplicate}" - give every account's session file a different name`);
+    }
+  }
+
+  async initialize() {
+    for (let i = 0; i < this.sessions.length; i++) {
+      const { sessionPath, name } = this.sessions[i];
+      this.logger.log('INFO', `Authenticating account ${i + 1}/${this.sessions.length} (${name})`);
+
+      const sessionManager = new SessionManager(sessionPath);
+      const authenticator = new TelegramAuthenticator(
+        this.config.apiId,
+        this.config.apiHash,
+        sessionManager,
+        i === 0 ? this.config.phoneNumber : null // Extra accounts are prompted for their phone number
+      );
+
+      const client = await authenticator.authenticate();
+      const me = await client.getMe();
+
+      this.accounts.push({
+        name,
+        sessionManager,
+        client,
+        userId: me.id.toString(),
+        username: me.username || null,
+        floodWaitUntil: 0,
+        lastFloodWait: null, // { seconds, at }
+        floodWaits: 0,
+        successes: 0,
+        failures: 0,
+        lastError: null,
+        lastUsed: 0
+      });
+    }
+
+    this.logger.log('INFO', `Account pool ready with ${this.accounts.length} account(s)`);
+  }
+
+  getPrimary() {
+    return this.accounts[0];
+  }
+
+  getByName(name) {
+    return this.accounts.find(account => account.name === name) || null;
+  }
+
+  getAccountIds() {
+    return this.accounts.map(account => account.userId);
+  }
+
+  getPenalty(account) {
+    // Remaining flood wait in seconds
+    return Math.max(0, Math.ceil((account.floodWaitUntil - Date.now()) / 1000));
+  }
+
+  isHealthy(account) {
+    return account.client.connected !== false;
+  }
+
+  pick(exclude = []) {
+    const candidates = this.accounts.filter(account => !exclude.includes(account) && this.isHealthy(account));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    // Lowest flood wait penalty first, then fewest failures, then least recently used
+    candidates.sort((a, b) =>
+      this.getPenalty(a) - this.getPenalty(b) ||
+      a.failures - b.failures ||
+      a.lastUsed - b.lastUsed
+    );
+
+    const account = candidates[0];
+    account.lastUsed = Date.now();
+    return account;
+  }
+
+  getEarliestAvailability() {
+    // Timestamp at which the first healthy account is free of flood waits
+    const healthy = this.accounts.filter(account => this.isHealthy(account));
+    if (healthy.length === 0) {
+      return null;
+    }
+    return Math.max(Date.now(), Math.min(...healthy.map(account => account.floodWaitUntil)));
+  }
+
+  reportFloodWait(account, seconds) {
+    account.floodWaitUntil = Math.max(account.floodWaitUntil, Date.now() + seconds * 1000);
+    account.lastFloodWait = { seconds, at: Date.now() };
+    account.floodWaits++;
+    this.logger.log('WARN', `Account ${account.name} is flood-waited for ${seconds} seconds`);
+  }
+
+  reportSuccess(account) {
+    account.successes++;
+  }
+
+  reportFailure(account, error) {
+    account.failures++;
+    account.lastError = error;
+  }
+
+  getStatus() {
+    return this.accounts.map(account => ({
+      name: account.name,
+      userId: account.userId,
+      username: account.username,
+      healthy: this.isHealthy(account),
+      penaltySeconds: this.getPenalty(account),
+      lastFloodWait: account.lastFloodWait,
+      floodWaits: account.floodWaits,
+      sessionCreatedAt: account.sessionManager.getCreatedAt(),
+      successes: account.successes,
+      failures: account.failures,
+      lastError: account.lastError
+    }));
+  }
+
+  async disconnectAll() {
+    for (const account of this.accounts) {
+      try {
+        await account.client.disconnect();
+      } catch (error) {
+        this.logger.log('ERROR', `Failed to disconnect account ${account.name}: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = AccountPool;
@@ -1,34 +1,82 @@
-const TelegramAuthenticator = require('./TelegramAuthenticator');
-const SessionManager = require('./SessionManager');
+const path = require('path');
+const crypto = require('crypto');
+const AccountPool = require('./AccountPool');
 const BotInteractionHandler = require('./BotInteractionHandler');
 const TelegramBot = require('./TelegramBot');
 const RequestQueue = require('./RequestQueue');
 const BotRequestHandler = require('./BotRequestHandler');
 const RequestTracker = require('./RequestTracker');
+const RequestStore = require('./RequestStore');
+const ResultCache = require('./ResultCache');
+const MessageMonitor = require('./MessageMonitor');
+const ChannelLedger = require('./ChannelLedger');
+const RecipeRegistry = require('./RecipeRegistry');
+const DeletionScheduler = require('./DeletionScheduler');
+const SettingsStore = require('./SettingsStore');
+const DeliveryOptions = require('./DeliveryOptions');
+const AccessControl = require('./AccessControl');
+const RateLimiter = require('./RateLimiter');
 const LinkParser = require('../utils/LinkParser');
 const Logger = require('../utils/Logger');
 const ErrorHandler = require('../utils/ErrorHandler');
+const { formatWaitTime } = require('../utils/TimeFormatter');
+
+// Settings users and admins can change with /settings
+const SETTING_LABELS = {
+  autoDelete: 'Auto-delete',
+  protectContent: 'Protected content',
+  spoiler: 'Spoiler',
+  silent: 'Silent delivery'
+};
+
+// Per-user limits admins can override with /limit
+const LIMIT_LABELS = {
+  linksPerMessage: 'Links per message',
+  requestsPerHour: 'Requests per hour',
+  joinsPerDay: 'Channel joins per day',
+  queuedRequests: 'Requests at once'
+};
 
 class Application {
   constructor(config) {
     this.config = config;
     this.logger = new Logger(config.logLevel);
     this.errorHandler = new ErrorHandler(this.logger);
-    this.sessionManager = new SessionManager(config.sessionPath);
+    this.accountPool = new AccountPool(config, this.logger);
     this.linkParser = new LinkParser();
-    this.botInteractionHandler = new BotInteractionHandler(this.logger);
+    this.channelLedger = new ChannelLedger(path.join(config.dataDir, 'channel-ledger.json'), this.logger);
+    this.settingsStore = new SettingsStore(path.join(config.dataDir, 'settings.json'), this.logger);
+    this.deliveryOptions = new DeliveryOptions(config, this.settingsStore);
+    this.recipeRegistry = new RecipeRegistry(this.logger);
+    if (config.recipesPath) {
+      this.recipeRegistry.load(config.recipesPath);
+    }
+    this.botInteractionHandler = new BotInteractionHandler(this.logger, this.channelLedger, this.recipeRegistry);
     this.requestTracker = new RequestTracker(this.logger);
     
     // Bot interface components
     this.telegramBot = null;
     this.requestQueue = null;
     this.botRequestHandler = null;
-    
-    // Track media messages for auto-deletion
-    this.mediaMessageTracker = new Map(); // chatId -> { messageIds: [], warningMessageId: null }
+    this.resultCache = null;
+    this.deletionScheduler = null;
+    this.accessControl = null;
+    this.rateLimiter = null;
+
+    // Counters for /stats since startup
+    this.stats = { startedAt: Date.now(), requests: 0, completed: 0, failed: 0, parked: 0, linkSuccesses: 0, linkFailures: 0 };
+
+    // Client mode components
+    this.messageMonitor = null;
+    this.clientModeQueue = Promise.resolve(); // Serializes interactions triggered by client mode
+
+    // Album items relayed to the bot, held until the whole album has arrived
+    this.albumBuffers = new Map(); // "requestId:mediaGroupId" -> { request, chatId, link, items: [], timer }
+    this.albumDelay = 1000;
     
     this.client = null;
     this.isShuttingDown = false;
+    this.isSweepingChannels = false;
   }
 
   async start() {
@@ -38,24 +86,26 @@ class Application {
       // Set up signal handlers for graceful shutdown
       this.setupSignalHandlers();
 
-      // Authenticate with Telegram
-      const authenticator = new TelegramAuthenticator(
-        this.config.apiId,
-        this.config.apiHash,
-        this.sessionManager,
-        this.config.phoneNumber
-      );
-
-      this.client = await authenticator.authenticate();
+      // Authenticate every configured Telegram account; the primary one also drives client mode
+      await this.accountPool.initialize();
+      this.client = this.accountPool.getPrimary().client;
 
       // Initialize bot interface if token is provided
       if (this.config.botToken) {
         await this.initializeBotInterface();
-        this.logger.log('INFO', 'Application is running. Send messages to your bot to process links.');
-      } else {
-        this.logger.log('ERROR', 'Bot token not provided. This application requires a bot token to function.');
-        this.logger.log('ERROR', 'Please set TELEGRAM_BOT_TOKEN in your .env file');
-        process.exit(1);
+        this.logger.log('INFO', 'Bot mode is running. Send messages to your bot to process links.');
+      }
+
+      // Initialize client mode if enabled
+      if (this.config.clientMode) {
+        await this.initializeClientMode();
+        this.logger.log('INFO', `Client mode is running. Watching ${this.config.monitorChats.length} chat(s) for bot links.`);
+      }
+
+      // Periodically leave channels according to the leave policy
+      if (this.config.leavePolicy !== 'never') {
+        setInterval(() => this.sweepJoinedChannels(), 300000); // Every 5 minutes
+        this.logger.log('INFO', `Channel leave policy: ${this.config.leavePolicy} (after ${formatWaitTime(this.config.leaveAfter)})`);
       }
 
       this.logger.log('INFO', 'Press Ctrl+C to stop');
@@ -69,144 +119,196 @@ class Application {
   async initializeBotInterface() {
     try {
       // Initialize bot components
-      this.telegramBot = new TelegramBot(this.config.botToken, this.linkParser, this.logger);
-      this.requestQueue = new RequestQueue(this.config.maxQueueSize, this.logger);
+      this.telegramBot = new TelegramBot(
+        this.config.botToken,
+        this.linkParser,
+        this.logger,
+        this.config.adminUserIds,
+        this.config.botApiUrl
+      );
+      this.resultCache = new ResultCache(
+        path.join(this.config.dataDir, 'result-cache.json'),
+        this.config.cacheTtl,
+        this.logger
+      );
+      // Delivered media is deleted after a delay; jobs survive restarts
+      this.deletionScheduler = new DeletionScheduler(
+        path.join(this.config.dataDir, 'deletions.json'),
+        this.telegramBot,
+        this.logger
+      );
+      this.accessControl = new AccessControl(path.join(this.config.dataDir, 'access.json'), this.logger, {
+        mode: this.config.accessMode,
+        adminUserIds: this.config.adminUserIds,
+        allowedUserIds: this.config.allowedUserIds
+      });
+      this.rateLimiter = new RateLimiter(
+        path.join(this.config.dataDir, 'rate-limits.json'),
+        this.logger,
+        {
+          linksPerMessage: this.config.maxLinksPerMessage,
+          requestsPerHour: this.config.maxRequestsPerHour,
+          joinsPerDay: this.config.maxJoinsPerDay,
+          queuedRequests: this.config.maxQueuedPerUser
+        },
+        this.settingsStore
+      );
+      this.requestQueue = new RequestQueue(
+        this.config.maxQueueSize,
+        this.logger,
+        new RequestStore(path.join(this.config.dataDir, 'requests.json'), this.logger),
+        { concurrency: this.config.maxConcurrentRequests }
+      );
       this.botRequestHandler = new BotRequestHandler(
-        this.client,
+        this.accountPool,
         this.botInteractionHandler,
         this.telegramBot,
         this.requestTracker,
-        this.logger
+        this.logger,
+        this.resultCache,
+        this.config.deliveryMode,
+        this.deliveryOptions,
+        path.join(this.config.dataDir, 'downloads')
       );
 
+      // Large direct downloads keep their request from timing out while they make progress
+      this.botRequestHandler.on('downloadProgress', ({ requestId }) => this.requestQueue.keepAlive(requestId));
+
+      // Files delivered directly (DELIVERY_MODE=direct) are tracked and cached like relayed ones
+      this.botRequestHandler.on('mediaDelivered', ({ request, messageIds, link, media }) => {
+        for (const messageId of messageIds) {
+          this.trackMediaMessage(request, messageId);
+        }
+        this.resultCache.addMedia(link, media);
+      });
+
       // Wire up bot events
       this.telegramBot.on('requestReceived', async (request) => {
-        // Store tracking info for each bot link
-        for (const link of request.botLinks) {
-          // Resolve bot to get its ID
-          try {
-            const { Api } = require('telegram');
-            const result = await this.client.invoke(
-              new Api.contacts.ResolveUsername({
-                username: link.botUsername
-              })
-            );
-            
-            if (result.users && result.users.length > 0) {
-              const targetBotId = result.users[0].id;
-              this.requestTracker.addRequest(targetBotId, request.userId, request.chatId);
-            }
-          } catch (error) {
-            this.logger.log('ERROR', `Failed to resolve bot ${link.botUsername}: ${error.message}`);
+        // Only admins, allowed users (in allowlist mode) and users who aren't banned get any work done
+        if (!(await this.checkAccess(request))) {
+          return;
+        }
+
+        // The per-message link cap counts every link sent, including those served from cache
+        if (!(await this.checkLinkLimit(request))) {
+          return;
+        }
+
+        // Serve links we already have results for, and queue only the rest. Media sent from cache
+        // is tracked for auto-deletion under the request's ID, so it gets one before it's queued
+        request.id = crypto.randomUUID();
+        const servedAll = await this.serveFromCache(request);
+        if (servedAll) {
+          return;
+        }
+
+        // The remaining per-user limits apply to what actually gets queued, and keep one user from
+        // filling the queue or using up the accounts' join budget
+        if (!(await this.checkRateLimits(request))) {
+          await this.scheduleMediaDeletion(request); // Whatever was already served from cache
+          return;
+        }
+
+        if (request.bypassCache) {
+          for (const link of request.botLinks) {
+            this.resultCache.invalidate(link);
           }
         }
 
         const added = this.requestQueue.addRequest(request);
-        if (!added) {
+        if (added) {
+          this.rateLimiter.recordRequest(request.userId);
+        } else {
           this.telegramBot.sendMessage(
             request.chatId,
             '❌ Queue is full. Please try again later.'
           );
+          await this.scheduleMediaDeletion(request);
         }
       });
 
-      // Track media messages for auto-deletion
-      this.mediaMessageTracker = new Map(); // chatId -> { messageIds: [], warningMessageId: null }
-
       // Handle forwarded media from client to bot
       this.telegramBot.on('forwardedMediaReceived', async (data) => {
-        const { message, targetBotId } = data;
+        const { message, relayAccountId, senderId, forwardDate } = data;
+        const origin = senderId || 'a channel';
         
-        // Look up which user requested from this bot
-        const request = this.requestTracker.getRequest(targetBotId);
+        // Look up the exact request whose interaction produced this message
+        const request = this.requestTracker.resolveRelay(relayAccountId, forwardDate, senderId);
         
         if (request) {
-          this.logger.log('INFO', `Forwarding media from bot ${targetBotId} to user ${request.endUserId} without caption`);
+          this.logger.log('INFO', `Forwarding media from ${origin} to user ${request.endUserId} (request ${request.requestId}) without caption`);
           
           // Forward the message without caption
           try {
-            let messageId = null;
-            
             // Use bot API to send media without caption
-            if (message.photo) {
-              const photo = message.photo[message.photo.length - 1].file_id;
-              messageId = await this.telegramBot.sendPhoto(request.endUserChatId, photo);
-            } else if (message.video) {
-              messageId = await this.telegramBot.sendVideo(request.endUserChatId, message.video.file_id);
-            } else if (message.document) {
-              messageId = await this.telegramBot.sendDocument(request.endUserChatId, message.document.file_id);
+            const media = this.telegramBot.getMediaDescriptor(message);
+            
+            if (media && message.media_group_id) {
+              // Part of an album - deliver it together with the other items
+              this.bufferAlbumItem(request, message, media);
+            } else if (media) {
+              const messageId = await this.telegramBot.sendMedia(
+                request.endUserChatId,
+                media,
+                this.deliveryOptions.getSendOptions(request.endUserChatId)
+              );
+              this.trackMediaMessage(this.getRelayRequest(request), messageId);
+
+              // Remember the file so the same link can be served from cache next time
+              this.resultCache.addMedia(request.link, media);
             } else {
+              this.resultCache.fail(request.link);
               this.logger.log('WARN', `Unknown media type in message ${message.message_id}`);
             }
-
-            // Track the sent media message ID for auto-deletion
-            if (messageId) {
-              const chatId = request.endUserChatId;
-              if (!this.mediaMessageTracker.has(chatId)) {
-                this.mediaMessageTracker.set(chatId, { messageIds: [], warningMessageId: null });
-              }
-              this.mediaMessageTracker.get(chatId).messageIds.push(messageId);
-              this.logger.log('INFO', `Tracked media message ${messageId} for auto-deletion in chat ${chatId}`);
-            }
           } catch (error) {
+            this.resultCache.fail(request.link);
             this.logger.log('ERROR', `Failed to forward to end user: ${error.message}`);
           }
         } else {
-          this.logger.log('WARN', `No request found for bot ${targetBotId}`);
+          // Never guess the recipient - hold the message back and let an admin look at it
+          this.requestTracker.quarantine(senderId, message, 'No matching relay');
+          await this.reportToAdmins(
+            `⚠️ Quarantined media from ${origin} relayed by account ${relayAccountId}: no request matches this forward (date ${forwardDate}). It was not delivered to anyone.`,
+            message
+          );
+        }
+      });
+
+      // Count requests and links for /stats
+      this.requestQueue.on('requestAdded', () => this.stats.requests++);
+      this.requestQueue.on('requestCompleted', () => this.stats.completed++);
+      this.requestQueue.on('requestFailed', () => this.stats.failed++);
+      this.requestQueue.on('requestParked', () => this.stats.parked++);
+      this.botRequestHandler.on('linkProcessed', ({ success, floodWait }) => {
+        if (success) {
+          this.stats.linkSuccesses++;
+        } else if (!floodWait) {
+          this.stats.linkFailures++;
         }
       });
 
       // Wire up queue events
       this.requestQueue.on('requestStarted', async (request) => {
         try {
-          await this.botRequestHandler.handleRequest(request);
-          this.requestQueue.markProcessingComplete();
+          const result = await this.botRequestHandler.handleRequest(request);
+          if (result && result.parked) {
+            this.requestQueue.markProcessingParked(request);
+          } else {
+            this.requestQueue.markProcessingComplete(request);
+          }
         } catch (error) {
-          this.requestQueue.markProcessingFailed(error);
+          this.requestQueue.markProcessingFailed(request, error);
         }
       });
 
       this.requestQueue.on('requestCompleted', async (request) => {
         this.logger.log('INFO', `Request completed for bot user ${request.userId}`);
         
+        // Deliver albums still being buffered so auto-deletion covers them too
+        await this.flushAlbums(request.id);
+
         // Send warning and schedule auto-deletion of media messages
-        const chatId = request.chatId;
-        if (this.mediaMessageTracker.has(chatId)) {
-          const tracker = this.mediaMessageTracker.get(chatId);
-          
-          if (tracker.messageIds.length > 0) {
-            try {
-              // Send warning message
-              const warningText = '⚠️ Media will be automatically deleted in 20 seconds.';
-              const warningMessageId = await this.telegramBot.sendMessage(chatId, warningText);
-              tracker.warningMessageId = warningMessageId;
-              
-              this.logger.log('INFO', `Sent deletion warning to chat ${chatId}, scheduling deletion in 20 seconds`);
-              
-              // Schedule deletion after 20 seconds
-              setTimeout(async () => {
-                const messageIds = [...tracker.messageIds];
-                const warningId = tracker.warningMessageId;
-                
-                // Delete all media messages
-                for (const messageId of messageIds) {
-                  await this.telegramBot.deleteMessage(chatId, messageId);
-                }
-                
-                // Delete warning message
-                if (warningId) {
-                  await this.telegramBot.deleteMessage(chatId, warningId);
-                }
-                
-                // Clean up tracker
-                this.mediaMessageTracker.delete(chatId);
-                this.logger.log('INFO', `Deleted ${messageIds.length} media message(s) and warning from chat ${chatId}`);
-              }, 20000); // 20 seconds
-            } catch (error) {
-              this.logger.log('ERROR', `Failed to send warning or schedule deletion: ${error.message}`);
-            }
-          }
-        }
+        await this.scheduleMediaDeletion(request);
         
         // Clean up tracking after a delay (to allow media to arrive)
         setTimeout(() => {
@@ -216,12 +318,24 @@ class Application {
         }, 60000); // 1 minute
       });
 
+      // Parked requests show a live countdown until they resume by themselves
+      this.requestQueue.on('requestParked', (request) => {
+        this.botRequestHandler.startCountdown(request);
+      });
+
+      this.requestQueue.on('requestResumed', (request) => {
+        this.botRequestHandler.stopCountdown(request.id);
+      });
+
       this.requestQueue.on('requestFailed', async (request, error) => {
         this.logger.log('ERROR', `Request failed for bot user ${request.userId}: ${error.message}`);
         await this.telegramBot.sendMessage(
           request.chatId,
           `❌ Request failed: ${error.message}`
         );
+
+        // Media delivered before the failure is deleted like any other
+        await this.scheduleMediaDeletion(request);
       });
 
       this.requestQueue.on('queueFull', async (request) => {
@@ -231,13 +345,247 @@ class Application {
         );
       });
 
-      // Start periodic cleanup of old requests
+      this.telegramBot.on('cacheStatsRequested', async ({ chatId }) => {
+        const stats = this.resultCache.getStats();
+        const status = this.resultCache.isEnabled()
+          ? `TTL: ${Math.round(this.config.cacheTtl / 3600 * 10) / 10}h`
+          : 'Disabled (CACHE_TTL=0)';
+        await this.telegramBot.sendMessage(
+          chatId,
+          `📦 Result cache\n\n` +
+          `${status}\n` +
+          `Entries: ${stats.entries}\n` +
+          `Hits: ${stats.hits}\n` +
+          `Misses: ${stats.misses}\n` +
+          `Hit rate: ${(stats.hitRate * 100).toFixed(1)}%`
+        );
+      });
+
+      this.telegramBot.on('accountsRequested', async ({ chatId }) => {
+        const lines = this.accountPool.getStatus().map(account => {
+          const state = !account.healthy
+            ? '🔴 disconnected'
+            : account.penaltySeconds > 0
+              ? `🟡 flood wait ${formatWaitTime(account.penaltySeconds)}`
+              : '🟢 ready';
+          const lastFlood = account.lastFloodWait
+            ? `, last flood wait ${formatWaitTime(account.lastFloodWait.seconds)} at ${new Date(account.lastFloodWait.at).toISOString()}`
+            : '';
+          return `• ${account.name}${account.username ? ` (@${account.username})` : ''}: ${state}\n` +
+            `  ${account.successes} ok / ${account.failures} failed${lastFlood}`;
+        });
+        await this.telegramBot.sendMessage(chatId, `👥 Accounts\n\n${lines.join('\n')}`);
+      });
+
+      // Settings and quotas are for users who may send links at all, so they go through the same access check
+      this.telegramBot.on('settingsRequested', async ({ chatId, userId, username, scope }) => {
+        if (!(await this.checkAccess({ chatId, userId, username }))) {
+          return;
+        }
+
+        const lines = Object.keys(SETTING_LABELS).map(key => {
+          const chatValue = this.settingsStore.get('chat', chatId, key);
+          const userValue = key === 'autoDelete' ? this.settingsStore.get('user', userId, key) : undefined;
+          const source = chatValue !== undefined ? 'chat setting' : userValue !== undefined ? 'your setting' : 'default';
+          return `${SETTING_LABELS[key]}: ${this.describeSetting(key, this.getSetting(key, chatId, userId))} (${source})`;
+        });
+
+        await this.telegramBot.sendMessage(
+          chatId,
+          `⚙️ Settings${scope === 'chat' ? ' for this chat' : ''}\n\n${lines.join('\n')}\n\n` +
+          'Send /settings help to see how to change them.'
+        );
+      });
+
+      this.telegramBot.on('settingChanged', async ({ chatId, userId, username, scope, key, value }) => {
+        if (!(await this.checkAccess({ chatId, userId, username }))) {
+          return;
+        }
+
+        this.settingsStore.set(scope, scope === 'chat' ? chatId : userId, key, value);
+        await this.telegramBot.sendMessage(
+          chatId,
+          `✅ ${SETTING_LABELS[key]}${scope === 'chat' ? ' for this chat' : ''}: ` +
+          this.describeSetting(key, this.getSetting(key, chatId, userId))
+        );
+      });
+
+      this.telegramBot.on('statsRequested', async ({ chatId }) => {
+        const floodWaits = this.accountPool.getStatus().reduce((sum, account) => sum + account.floodWaits, 0);
+        const cacheStats = this.resultCache.getStats();
+        await this.telegramBot.sendMessage(
+          chatId,
+          `📈 Stats since ${new Date(this.stats.startedAt).toISOString()}\n\n` +
+          `Requests: ${this.stats.requests} received, ${this.stats.completed} completed, ${this.stats.failed} failed\n` +
+          `Links: ${this.stats.linkSuccesses} succeeded, ${this.stats.linkFailures} failed\n` +
+          `Flood waits: ${floodWaits} (${this.stats.parked} request(s) parked)\n` +
+          `Cache hits: ${cacheStats.hits}\n` +
+          `Queue: ${this.requestQueue.getQueueSize()} waiting, ${this.requestQueue.getActiveRequests().length} running, ` +
+          `${this.requestQueue.getParkedRequests().length} parked${this.requestQueue.paused ? ' (paused)' : ''}`
+        );
+      });
+
+      this.telegramBot.on('queueRequested', async ({ chatId }) => {
+        const sections = [
+          ['▶️ Running', this.requestQueue.getActiveRequests()],
+          ['🕐 Waiting', this.requestQueue.getQueuedRequests()],
+          ['⏳ Parked', this.requestQueue.getParkedRequests()]
+        ];
+        const maxListed = 20; // Keep the reply within Telegram's message size limit
+        let listed = 0;
+
+        const lines = [];
+        for (const [title, requests] of sections) {
+          if (requests.length === 0) {
+            continue;
+          }
+          lines.push(`\n${title} (${requests.length})`);
+          for (const request of requests) {
+            if (listed++ >= maxListed) {
+              break;
+            }
+            const user = request.username && request.username !== 'unknown' ? `@${request.username}` : request.userId;
+            const links = request.botLinks.map(link => `@${link.botUsername}${link.startParameter ? ` ${link.startParameter}` : ''}`);
+            lines.push(`• ${user}: ${links.join(', ')}`);
+          }
+        }
+
+        const total = sections.reduce((sum, [, requests]) => sum + requests.length, 0);
+        if (total > maxListed) {
+          lines.push(`\n…and ${total - maxListed} more`);
+        }
+
+        await this.telegramBot.sendMessage(
+          chatId,
+          `📋 Queue${this.requestQueue.paused ? ' (paused)' : ''}\n${total > 0 ? lines.join('\n') : '\nEmpty'}`
+        );
+      });
+
+      this.telegramBot.on('pauseRequested', async ({ chatId }) => {
+        this.requestQueue.pause();
+        await this.telegramBot.sendMessage(
+          chatId,
+          '⏸ Queue paused. New requests are still accepted; running ones finish. Use /resume to continue.'
+        );
+      });
+
+      this.telegramBot.on('resumeRequested', async ({ chatId }) => {
+        this.requestQueue.resume();
+        await this.telegramBot.sendMessage(chatId, `▶️ Queue resumed with ${this.requestQueue.getQueueSize()} request(s) waiting.`);
+      });
+
+      this.telegramBot.on('flushRequested', async ({ chatId }) => {
+        const cleared = this.requestQueue.clear();
+        for (const request of cleared) {
+          this.botRequestHandler.stopCountdown(request.id);
+          try {
+            await this.telegramBot.sendMessage(
+              request.chatId,
+              `❌ Your request for ${request.botLinks.length} link(s) was cancelled by an admin. Please send it again later.`
+            );
+          } catch (error) {
+            this.logger.log('ERROR', `Failed to notify user ${request.userId} about cancelled request: ${error.message}`);
+          }
+          // Media a parked request already delivered gets the same cleanup as a finished one
+          await this.flushAlbums(request.id);
+          await this.scheduleMediaDeletion(request);
+        }
+        await this.telegramBot.sendMessage(
+          chatId,
+          `🧹 Cleared ${cleared.length} request(s). ${this.requestQueue.getActiveRequests().length} running request(s) will finish normally.`
+        );
+      });
+
+      this.telegramBot.on('healthRequested', async ({ chatId }) => {
+        const lines = this.accountPool.getStatus().map(account => {
+          const sessionAge = account.sessionCreatedAt
+            ? formatWaitTime(Math.floor((Date.now() - account.sessionCreatedAt) / 1000))
+            : 'unknown';
+          const lastFlood = account.lastFloodWait
+            ? `${formatWaitTime(account.lastFloodWait.seconds)} at ${new Date(account.lastFloodWait.at).toISOString()}`
+            : 'none';
+          return `• ${account.name}: ${account.healthy ? '🟢 connected' : '🔴 disconnected'}\n` +
+            `  Session age: ${sessionAge}\n` +
+            `  Last flood wait: ${lastFlood}`;
+        });
+
+        await this.telegramBot.sendMessage(
+          chatId,
+          `🩺 Health\n\n` +
+          `Uptime: ${formatWaitTime(Math.floor((Date.now() - this.stats.startedAt) / 1000))}\n` +
+          `Queue: ${this.requestQueue.paused ? '⏸ paused' : '▶️ running'}\n\n` +
+          `MTProto clients:\n${lines.join('\n')}`
+        );
+      });
+
+      // Channel joins count against the daily limit of the user whose request needed them
+      this.botInteractionHandler.on('channelJoined', ({ userId }) => {
+        if (userId) {
+          this.rateLimiter.recordJoin(userId);
+        }
+      });
+
+      this.telegramBot.on('quotaRequested', async ({ chatId, userId, username }) => {
+        if (!(await this.checkAccess({ chatId, userId, username }))) {
+          return;
+        }
+
+        if (this.telegramBot.isAdmin(userId)) {
+          await this.telegramBot.sendMessage(chatId, '📊 You\'re an admin, no limits apply to you.');
+          return;
+        }
+
+        const { limits, requestsThisHour, joinsToday } = this.rateLimiter.getUsage(userId);
+        const describe = (used, max) => max > 0 ? `${Math.max(0, max - used)} of ${max} left` : 'unlimited';
+        await this.telegramBot.sendMessage(
+          chatId,
+          `📊 Your quota\n\n` +
+          `Requests this hour: ${describe(requestsThisHour, limits.requestsPerHour)}\n` +
+          `Channel joins today: ${describe(joinsToday, limits.joinsPerDay)}\n` +
+          `Requests at once: ${describe(this.requestQueue.countUserRequests(userId), limits.queuedRequests)}\n` +
+          `Links per message: ${limits.linksPerMessage > 0 ? limits.linksPerMessage : 'unlimited'}`
+        );
+      });
+
+      this.telegramBot.on('limitChangeRequested', async ({ chatId, userId, key, value }) => {
+        this.settingsStore.set('user', userId, key, value);
+        const limit = this.rateLimiter.getLimits(userId)[key];
+        await this.telegramBot.sendMessage(
+          chatId,
+          `✅ ${LIMIT_LABELS[key]} for user ${userId}: ${limit > 0 ? limit : 'unlimited'}${value === undefined ? ' (default)' : ''}`
+        );
+      });
+
+      this.telegramBot.on('accessChangeRequested', async ({ chatId, action, userId }) => {
+        let text;
+        if (action === 'ban') {
+          text = this.accessControl.ban(userId) ? `⛔ User ${userId} is banned.` : '❌ Admins can\'t be banned.';
+        } else if (action === 'unban') {
+          text = this.accessControl.unban(userId) ? `✅ User ${userId} is no longer banned.` : `ℹ️ User ${userId} wasn't banned.`;
+        } else {
+          this.accessControl.allow(userId);
+          text = `✅ User ${userId} is allowed.` +
+            (this.config.accessMode === 'open' ? '\n\nACCESS_MODE is open, so this only matters once the allowlist is on.' : '');
+        }
+        await this.telegramBot.sendMessage(chatId, text);
+      });
+
+      // Start periodic cleanup of old requests and expired cache entries
       setInterval(() => {
         this.requestTracker.cleanup();
+        this.resultCache.cleanup();
+        this.rateLimiter.cleanup();
       }, 60000); // Every minute
 
+      // Only forwards from our own client accounts count as relayed media
+      this.telegramBot.setRelayAccounts(this.accountPool.getAccountIds());
+
       // Start the bot
       await this.telegramBot.start();
+
+      // Pick up requests that were pending before the last restart
+      await this.restorePendingRequests();
+
       this.logger.log('INFO', 'Bot interface initialized successfully');
 
     } catch (error) {
@@ -246,6 +594,347 @@ class Application {
     }
   }
 
+  async checkAccess(request) {
+    const access = this.accessControl.check(request.userId);
+
+    // Admins hear about each new user once, whether or not they got in
+    if (this.accessControl.markSeen(request.userId)) {
+      const name = request.username && request.username !== 'unknown' ? `@${request.username}` : 'A user';
+      const outcome = access === 'allowed'
+        ? 'started using the bot'
+        : access === 'banned' ? 'tried the bot but is banned' : 'tried the bot but is not on the allowlist';
+      await this.reportToAdmins(`👤 ${name} (ID ${request.userId}) ${outcome}.\n\n/allow ${request.userId} or /ban ${request.userId}`);
+    }
+
+    if (access === 'allowed') {
+      return true;
+    }
+
+    this.logger.log('WARN', `Rejected request from user ${request.userId}: ${access}`);
+    try {
+      await this.telegramBot.sendMessage(
+        request.chatId,
+        access === 'banned'
+          ? '⛔ Sorry, you can\'t use this bot.'
+          : '🔒 Sorry, this bot is private. Please ask an admin for access.'
+      );
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to send access notice to user ${request.userId}: ${error.message}`);
+    }
+    return false;
+  }
+
+  async checkLinkLimit(request) {
+    if (this.telegramBot.isAdmin(request.userId)) {
+      return true;
+    }
+    return this.enforceLimit(request, this.rateLimiter.checkLinks(request.userId, request.botLinks.length));
+  }
+
+  async checkRateLimits(request) {
+    if (this.telegramBot.isAdmin(request.userId)) {
+      return true;
+    }
+    return this.enforceLimit(
+      request,
+      this.rateLimiter.check(request.userId, this.requestQueue.countUserRequests(request.userId))
+    );
+  }
+
+  async enforceLimit(request, exceeded) {
+    // Tells the user which limit turned the request away; returns whether it may go ahead
+    if (!exceeded) {
+      return true;
+    }
+
+    const reasons = {
+      linksPerMessage: `Please send at most ${exceeded.max} link(s) per message.`,
+      queuedRequests: `You already have ${exceeded.max} request(s) in progress. Please wait for them to finish.`,
+      requestsPerHour: `You've used all ${exceeded.max} request(s) you have per hour.`,
+      joinsPerDay: `You've used all ${exceeded.max} channel join(s) you have per day.`
+    };
+    const retry = exceeded.retryIn > 0 ? `\nTry again in ${formatWaitTime(exceeded.retryIn)}.` : '';
+
+    this.logger.log('WARN', `Rejected request from user ${request.userId}: ${exceeded.limit} limit (${exceeded.max}) reached`);
+    try {
+      await this.telegramBot.sendMessage(request.chatId, `⏳ ${reasons[exceeded.limit]}${retry}\n\nSee /quota for your limits.`);
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to send limit notice to user ${request.userId}: ${error.message}`);
+    }
+    return false;
+  }
+
+  async serveFromCache(request) {
+    // Returns true when every link was served from cache and nothing needs queuing
+    if (!this.resultCache.isEnabled()) {
+      return false;
+    }
+
+    if (request.bypassCache) {
+      return false; // /refresh - its entries are dropped once the request passes the rate limits
+    }
+
+    const remainingLinks = [];
+    let sentCount = 0;
+
+    for (const link of request.botLinks) {
+      const entry = this.resultCache.get(link);
+      if (!entry) {
+        this.resultCache.recordMiss(link);
+        remainingLinks.push(link);
+        continue;
+      }
+
+      try {
+        for (const media of entry.media) {
+          // Albums come back as one message ID per item
+          const sent = await this.telegramBot.sendMedia(request.chatId, media, this.deliveryOptions.getSendOptions(request.chatId));
+          for (const messageId of [].concat(sent)) {
+            this.trackMediaMessage(request, messageId);
+            sentCount++;
+          }
+        }
+        this.resultCache.recordHit(link);
+      } catch (error) {
+        // A stale file reference shouldn't block the user - fetch the link again instead
+        this.logger.log('WARN', `Failed to serve ${link.botUsername} from cache, reprocessing: ${error.message}`);
+        this.resultCache.recordMiss(link);
+        this.resultCache.invalidate(link);
+        remainingLinks.push(link);
+      }
+    }
+
+    if (remainingLinks.length === request.botLinks.length) {
+      return false;
+    }
+
+    request.botLinks = remainingLinks;
+
+    if (remainingLinks.length === 0) {
+      await this.telegramBot.sendMessage(request.chatId, `✅ Done! Sent ${sentCount} file(s) from cache.`);
+      await this.scheduleMediaDeletion(request);
+      return true;
+    }
+
+    return false;
+  }
+
+  trackMediaMessage(request, messageId) {
+    // Track the sent media message ID for auto-deletion with the rest of the request's media
+    if (!messageId) {
+      return;
+    }
+
+    this.deletionScheduler.track(request, messageId);
+    this.logger.log('INFO', `Tracked media message ${messageId} for auto-deletion in chat ${request.chatId} (request ${request.id})`);
+  }
+
+  getRelayRequest(route) {
+    // The request a relayed message belongs to, in the shape auto-deletion tracks it by
+    return { id: route.requestId, chatId: route.endUserChatId, userId: route.endUserId };
+  }
+
+  bufferAlbumItem(route, message, media) {
+    const key = `${route.requestId}:${message.media_group_id}`;
+    let album = this.albumBuffers.get(key);
+    if (!album) {
+      album = { request: this.getRelayRequest(route), chatId: route.endUserChatId, link: route.link, items: [], timer: null };
+      this.albumBuffers.set(key, album);
+    }
+
+    album.items.push({ messageId: message.message_id, media });
+    clearTimeout(album.timer);
+    album.timer = setTimeout(() => this.sendAlbum(key), this.albumDelay);
+  }
+
+  async flushAlbums(requestId) {
+    const keys = [...this.albumBuffers.keys()].filter(key => this.albumBuffers.get(key).request.id === requestId);
+    for (const key of keys) {
+      await this.sendAlbum(key);
+    }
+  }
+
+  async sendAlbum(key) {
+    const album = this.albumBuffers.get(key);
+    if (!album) {
+      return;
+    }
+    this.albumBuffers.delete(key);
+    clearTimeout(album.timer);
+
+    // Keep the order the target bot sent the items in
+    const items = album.items.sort((a, b) => a.messageId - b.messageId).map(item => item.media);
+    const media = items.length > 1 ? { type: 'album', items } : items[0];
+
+    try {
+      const sent = await this.telegramBot.sendMedia(album.chatId, media, this.deliveryOptions.getSendOptions(album.chatId));
+      for (const messageId of [].concat(sent)) {
+        this.trackMediaMessage(album.request, messageId);
+      }
+      this.resultCache.addMedia(album.link, media);
+    } catch (error) {
+      this.resultCache.fail(album.link);
+      this.logger.log('ERROR', `Failed to send album to ${album.chatId}: ${error.message}`);
+    }
+  }
+
+  async scheduleMediaDeletion(request) {
+    // A chat override wins over the user's own setting, which wins over AUTO_DELETE_DELAY
+    await this.deletionScheduler.schedule(request, this.getSetting('autoDelete', request.chatId, request.userId));
+  }
+
+  getSetting(key, chatId, userId) {
+    if (key === 'autoDelete') {
+      return this.settingsStore.resolve(key, chatId, userId, this.config.autoDeleteDelay);
+    }
+    return this.deliveryOptions.resolve(chatId)[key];
+  }
+
+  describeSetting(key, value) {
+    if (key === 'autoDelete') {
+      return value > 0 ? `${formatWaitTime(value)} after delivery` : 'off';
+    }
+    return value ? 'on' : 'off';
+  }
+
+  async sweepJoinedChannels() {
+    if (this.isSweepingChannels) {
+      return;
+    }
+    this.isSweepingChannels = true;
+
+    try {
+      // Channels joined for requests that are running or parked may still be checked by their bot
+      const openRequests = this.requestQueue
+        ? [...this.requestQueue.getActiveRequests(), ...this.requestQueue.getParkedRequests()]
+        : [];
+      const neededChannels = this.channelLedger.getChannelIds(new Set(openRequests.map(request => request.id)));
+
+      const dueEntries = this.channelLedger
+        .getDue(this.config.leavePolicy, this.config.leaveAfter)
+        .filter(entry => !neededChannels.has(entry.channelId));
+      if (dueEntries.length > 0) {
+        this.logger.log('INFO', `Leaving ${dueEntries.length} channel(s) per leave policy`);
+      }
+
+      for (const entry of dueEntries) {
+        const account = this.accountPool.getByName(entry.account);
+        if (!account) {
+          // The account is no longer configured, so its entries can't be acted on
+          this.channelLedger.remove(entry.id);
+          continue;
+        }
+
+        if (await this.botInteractionHandler.leaveChannel(account.client, entry)) {
+          this.channelLedger.remove(entry.id);
+        }
+
+        // Space out leaves to avoid rate limits
+        await this.botInteractionHandler.sleep(2000);
+      }
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to sweep joined channels: ${error.message}`);
+    } finally {
+      this.isSweepingChannels = false;
+    }
+  }
+
+  async reportToAdmins(text, message = null) {
+    for (const adminId of this.config.adminUserIds) {
+      try {
+        await this.telegramBot.sendMessage(adminId, text);
+        if (message) {
+          await this.telegramBot.forwardMessage(adminId, message.chat.id, message.message_id);
+        }
+      } catch (error) {
+        this.logger.log('ERROR', `Failed to report to admin ${adminId}: ${error.message}`);
+      }
+    }
+  }
+
+  async restorePendingRequests() {
+    const { resumed, failed, parked } = this.requestQueue.restore();
+
+    // Re-arm deletions scheduled before the restart
+    const restoredDeletions = this.deletionScheduler.restore();
+    if (restoredDeletions > 0) {
+      this.logger.log('INFO', `Restored ${restoredDeletions} scheduled media deletion(s)`);
+    }
+
+    // Media of requests that won't run again would otherwise never be scheduled
+    const activeIds = new Set([...resumed, ...parked].map(request => request.id));
+    for (const request of this.deletionScheduler.getPendingRequests()) {
+      if (!activeIds.has(request.id)) {
+        await this.scheduleMediaDeletion(request);
+      }
+    }
+
+    for (const request of parked) {
+      this.botRequestHandler.startCountdown(request);
+    }
+
+    for (const request of resumed) {
+      try {
+        await this.telegramBot.sendMessage(
+          request.chatId,
+          `🔄 The service restarted. Your request for ${request.botLinks.length} link(s) has been resumed.`
+        );
+      } catch (error) {
+        this.logger.log('ERROR', `Failed to notify user ${request.userId} about resumed request: ${error.message}`);
+      }
+    }
+
+    for (const request of failed) {
+      try {
+        await this.telegramBot.sendMessage(
+          request.chatId,
+          '❌ Your request was interrupted by a restart and could not be completed. Please send the link again.'
+        );
+      } catch (error) {
+        this.logger.log('ERROR', `Failed to notify user ${request.userId} about failed request: ${error.message}`);
+      }
+    }
+  }
+
+  async initializeClientMode() {
+    try {
+      this.messageMonitor = new MessageMonitor(this.linkParser, this.logger, this.config.monitorChats);
+
+      this.messageMonitor.on('botLinkDetected', ({ link, senderId, sender }) => {
+        // Run one interaction at a time so client mode doesn't race the bot interface for joins
+        this.clientModeQueue = this.clientModeQueue.then(async () => {
+          // Hold the target bot like a queued request would, so its replies can't mix with another request's
+          const releaseBot = this.requestQueue ? await this.requestQueue.acquireBot(link.botUsername) : null;
+          try {
+            // Media is forwarded straight back to the sender by forwardMessageToUser
+            const response = await this.botInteractionHandler.interactWithBot(this.client, link, sender, {
+              accountName: this.accountPool.getPrimary().name,
+              forwardOptions: this.deliveryOptions.getForwardOptions(senderId)
+            });
+            this.logger.logInteractionStatus(link.botUsername, response.success);
+
+            if (!response.success) {
+              this.logger.log('WARN', `Client mode interaction for user ${senderId} failed: ${response.error}`);
+            }
+          } catch (error) {
+            this.errorHandler.handleBotInteractionError(error, link.botUsername);
+          } finally {
+            if (releaseBot) {
+              releaseBot();
+            }
+          }
+        });
+      });
+
+      await this.messageMonitor.start(this.client);
+      this.logger.log('INFO', 'Client mode initialized successfully');
+
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to initialize client mode: ${error.message}`);
+      throw error;
+    }
+  }
+
   setupSignalHandlers() {
     process.on('SIGINT', () => this.shutdown('SIGINT received'));
     process.on('SIGTERM', () => this.shutdown('SIGTERM received'));
@@ -273,16 +962,21 @@ class Application {
     this.logger.logShutdown(reason);
 
     try {
+      // Stop client mode monitoring
+      if (this.messageMonitor) {
+        this.messageMonitor.stop();
+      }
+
       // Stop bot
       if (this.telegramBot) {
         this.telegramBot.stop();
         this.logger.log('INFO', 'Telegram bot stopped');
       }
 
-      // Disconnect client
+      // Disconnect all client accounts
       if (this.client) {
-        await this.client.disconnect();
-        this.logger.log('INFO', 'Telegram client disconnected');
+        await this.accountPool.disconnectAll();
+        this.logger.log('INFO', 'Telegram clients disconnected');
       }
 
       this.logger.log('INFO', 'Shutdown complete');
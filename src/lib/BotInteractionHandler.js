@@ -1,15 +1,49 @@
 const { Api } = require('telegram');
+const { returnBigInt } = require('telegram/Helpers');
 const EventEmitter = require('events');
+const crypto = require('crypto');
 const { formatWaitTime } = require('../utils/TimeFormatter');
+const RecipeRegistry = require('./RecipeRegistry');
+const ChallengeSolver = require('../utils/ChallengeSolver');
+const ChannelLinkParser = require('../utils/ChannelLinkParser');
+const { getMediaType } = require('../utils/MediaType');
 
 class BotInteractionHandler extends EventEmitter {
-  constructor(logger) {
+  constructor(logger, channelLedger = null, recipeRegistry = null) {
     super();
     this.logger = logger;
+    this.channelLedger = channelLedger;
+    this.recipeRegistry = recipeRegistry;
+    this.challengeSolver = new ChallengeSolver();
+    this.channelLinkParser = new ChannelLinkParser();
+    this.maxChallenges = 3; // Challenges answered in a row before giving up on solving
     this.timeout = 30000; // 30 seconds
+    this.channelsToFree = 5; // Oldest ledger channels left when the account hits the channel cap
   }
 
-  async interactWithBot(client, link, originalSenderId, botChatId = null) {
+  async interactWithBot(client, link, originalSenderId, context = {}) {
+    // context: { chatId, requestId, userId, accountName } of the request this interaction belongs to
+    // activity: channel joins in progress, which hold media collection open (see joinChannels)
+    context = { ...context, link, interactionId: crypto.randomUUID(), activity: { busy: 0, lastActive: 0 } };
+
+    const response = await this.runInteraction(client, link, originalSenderId, context);
+
+    // Channels joined for this link have served their purpose once the bot delivered
+    if (response.success && this.channelLedger) {
+      this.channelLedger.markDelivered(context.interactionId);
+    }
+
+    return response;
+  }
+
+  async runInteraction(client, link, originalSenderId, context) {
+    // Per-bot recipe describing buttons, timings and success criteria
+    const recipe = this.recipeRegistry ? this.recipeRegistry.resolve(link.botUsername) : RecipeRegistry.DEFAULT_RECIPE;
+    context.recipe = recipe;
+    if (recipe !== RecipeRegistry.DEFAULT_RECIPE) {
+      this.logger.log('INFO', `Using recipe "${recipe.name}" for ${link.botUsername}`);
+    }
+
     try {
       // Resolve bot username to get bot entity
       const bot = await this.resolveBot(client, link.botUsername);
@@ -26,7 +60,7 @@ class BotInteractionHandler extends EventEmitter {
 
       // Start media collection BEFORE sending start command to catch all messages
       this.logger.log('INFO', 'Starting media listener before sending start command...');
-      const mediaCollectionPromise = this.waitAndForwardMediaMessagesWithRetry(client, bot, originalSenderId, botChatId);
+      const mediaCollectionPromise = this.waitAndForwardMediaMessagesWithRetry(client, bot, originalSenderId, context);
       
       // Small delay to ensure handler is registered
       await new Promise(resolve => setImmediate(resolve));
@@ -36,7 +70,12 @@ class BotInteractionHandler extends EventEmitter {
       await this.sendStartCommand(client, bot, startCommand);
 
       // Wait for bot response with buttons (this will be caught by media handler too)
-      const responseMessage = await this.waitForResponseMessage(client, bot);
+      let responseMessage = await this.waitForResponseMessage(client, bot, recipe.responseTimeout);
+
+      // Some bots ask an anti-bot question before showing the real gate
+      if (responseMessage && recipe.solveChallenges) {
+        responseMessage = await this.solveChallenges(client, bot, responseMessage, recipe);
+      }
 
       if (!responseMessage) {
         // No initial response, but media might still be coming
@@ -46,12 +85,7 @@ class BotInteractionHandler extends EventEmitter {
         
         if (mediaResult && mediaResult.mediaCount > 0) {
           // Media was received, so it's actually successful
-          return {
-            botUsername: link.botUsername,
-            responseText: `Media forwarded (${mediaResult.mediaCount} file(s))`,
-            timestamp: new Date(),
-            success: true
-          };
+          return this.buildResult(link, context, mediaResult, `Media forwarded (${mediaResult.mediaCount} file(s))`);
         }
         
         // No response and no media - return error
@@ -65,27 +99,38 @@ class BotInteractionHandler extends EventEmitter {
         };
       }
 
+      // Work out how the bot gates its content
+      const gate = this.detectGate(responseMessage, recipe);
+      context.gateType = gate.type;
+      this.logger.log('INFO', `Gate type for ${link.botUsername}: ${gate.type}`);
+
+      if (gate.type === 'replyKeyboard' || gate.type === 'textCommand') {
+        // Join channels linked in the text, then press the reply button / send the command
+        const joinResult = await this.passTextGate(client, bot, responseMessage, gate, context);
+
+        if (joinResult && !joinResult.success && joinResult.floodWait > 0) {
+          return this.buildFloodWaitResult(link, context, joinResult);
+        }
+
+        const mediaResult = await mediaCollectionPromise;
+
+        return this.buildResult(link, context, mediaResult, `Channels joined, sent "${gate.text}" and media forwarded`);
+      }
+
       // Check if message has inline keyboard buttons
-      if (responseMessage.replyMarkup && responseMessage.replyMarkup.rows) {
+      if (gate.type === 'inline') {
         this.logger.log('INFO', 'Bot response has inline keyboard buttons');
         
         // Extract channel links and join them
-        const joinResult = await this.joinChannelsFromButtons(client, responseMessage.replyMarkup, botChatId);
+        const joinResult = await this.joinChannelsFromButtons(client, responseMessage.replyMarkup, context);
         
         // Check if we hit rate limit
         if (joinResult && !joinResult.success && joinResult.floodWait > 0) {
-          return {
-            botUsername: link.botUsername,
-            responseText: `Rate limited: Please wait ${formatWaitTime(joinResult.floodWait)}. Joined ${joinResult.joinedCount} channels.`,
-            timestamp: new Date(),
-            success: false,
-            error: `FLOOD_WAIT: ${formatWaitTime(joinResult.floodWait)}`,
-            floodWait: joinResult.floodWait
-          };
+          return this.buildFloodWaitResult(link, context, joinResult);
         }
         
-        // Click the last button (confirm button) - media handler is already running
-        const callbackResult = await this.clickConfirmButton(client, bot, responseMessage);
+        // Click the confirm button - media handler is already running
+        const callbackResult = await this.clickConfirmButton(client, bot, responseMessage, recipe);
         
         // Check if callback returned a popup alert about joining channels
         if (callbackResult && callbackResult.alert) {
@@ -101,31 +146,26 @@ class BotInteractionHandler extends EventEmitter {
             
             // Retry clicking the confirm button
             this.logger.log('INFO', 'Retrying confirm button click...');
-            await this.clickConfirmButton(client, bot, responseMessage);
+            await this.clickConfirmButton(client, bot, responseMessage, recipe);
           }
         }
         
         // Wait for media collection to complete
-        await mediaCollectionPromise;
+        const mediaResult = await mediaCollectionPromise;
         
-        return {
-          botUsername: link.botUsername,
-          responseText: 'Channels joined, confirmed, and media forwarded',
-          timestamp: new Date(),
-          success: true
-        };
+        return this.buildResult(link, context, mediaResult, 'Channels joined, confirmed, and media forwarded');
       }
 
       // No buttons - bot is sending media directly, media handler is already running
       this.logger.log('INFO', 'No inline keyboard buttons, media handler already active...');
-      await mediaCollectionPromise;
+      const mediaResult = await mediaCollectionPromise;
 
-      return {
-        botUsername: link.botUsername,
-        responseText: responseMessage.text || responseMessage.message || 'Media forwarded',
-        timestamp: new Date(),
-        success: true
-      };
+      return this.buildResult(
+        link,
+        context,
+        mediaResult,
+        responseMessage.text || responseMessage.message || 'Media forwarded'
+      );
     } catch (error) {
       this.logger.log('ERROR', `Bot interaction failed for ${link.botUsername}: ${error.message}`);
       
@@ -139,6 +179,156 @@ class BotInteractionHandler extends EventEmitter {
     }
   }
 
+  buildResult(link, context, mediaResult, responseText) {
+    // Apply the recipe's success criteria to what the bot actually sent
+    const recipe = context.recipe;
+    const mediaCount = mediaResult ? mediaResult.mediaCount : 0;
+    let error = null;
+
+    if (mediaCount < recipe.success.minMedia) {
+      error = `Expected at least ${recipe.success.minMedia} file(s) but received ${mediaCount}`;
+    } else if (recipe.success.textPattern && !(mediaResult && mediaResult.successTextSeen)) {
+      error = 'Bot did not send the expected confirmation';
+    } else if (mediaCount === 0 && context.pendingApprovals > 0) {
+      error = `Join request still pending approval in ${context.pendingApprovals} channel(s)`;
+    }
+
+    if (error) {
+      return {
+        botUsername: link.botUsername,
+        responseText,
+        timestamp: new Date(),
+        success: false,
+        error,
+        gateType: context.gateType
+      };
+    }
+
+    return {
+      botUsername: link.botUsername,
+      responseText,
+      timestamp: new Date(),
+      success: true,
+      gateType: context.gateType
+    };
+  }
+
+  buildFloodWaitResult(link, context, joinResult) {
+    return {
+      botUsername: link.botUsername,
+      responseText: `Rate limited: Please wait ${formatWaitTime(joinResult.floodWait)}. Joined ${joinResult.joinedCount} channels.`,
+      timestamp: new Date(),
+      success: false,
+      error: `FLOOD_WAIT: ${formatWaitTime(joinResult.floodWait)}`,
+      floodWait: joinResult.floodWait,
+      channelIndex: joinResult.stoppedAt,
+      joinedCount: joinResult.joinedCount,
+      gateType: context.gateType
+    };
+  }
+
+  detectGate(message, recipe = RecipeRegistry.DEFAULT_RECIPE) {
+    // 'inline': URL buttons plus a callback confirm button
+    // 'replyKeyboard': a reply-keyboard button has to be pressed by sending its text
+    // 'textCommand': the bot asks for a command such as /check in its text
+    const markup = message.replyMarkup;
+
+    if (markup && markup.rows && markup.className === 'ReplyInlineMarkup') {
+      return { type: 'inline' };
+    }
+
+    if (markup && markup.rows && markup.className === 'ReplyKeyboardMarkup') {
+      const matcher = new RegExp(recipe.gate.replyButtonPattern, 'i');
+      const button = markup.rows.flatMap(row => row.buttons).find(item => matcher.test(item.text));
+      if (button) {
+        return { type: 'replyKeyboard', text: button.text };
+      }
+    }
+
+    const text = message.text || message.message || '';
+    for (const pattern of recipe.gate.commandPatterns) {
+      const match = text.match(new RegExp(pattern, 'i'));
+      if (match && match[1]) {
+        return { type: 'textCommand', text: match[1] };
+      }
+    }
+
+    return { type: 'none' };
+  }
+
+  findTextChannelLinks(message) {
+    // Channel links written into the message text, as plain URLs or text links
+    const text = message.message || '';
+    const urls = (message.entities || []).map(entity => {
+      if (entity.className === 'MessageEntityTextUrl') {
+        return entity.url;
+      }
+      if (entity.className === 'MessageEntityUrl') {
+        return text.substr(entity.offset, entity.length);
+      }
+      return null;
+    });
+
+    // Only channel links need joining (the parser rejects bot start links)
+    const channelUrls = urls.filter(url => url && this.channelLinkParser.parse(url));
+
+    return [...new Set(channelUrls)].map(url => ({ url, text: url }));
+  }
+
+  async passTextGate(client, bot, message, gate, context = {}) {
+    const joinResult = await this.joinChannels(client, this.findTextChannelLinks(message), context);
+    if (!joinResult.success) {
+      return joinResult;
+    }
+
+    await this.sendStartCommand(client, bot, gate.text);
+    return joinResult;
+  }
+
+  async solveChallenges(client, bot, message, recipe) {
+    let current = message;
+
+    for (let attempt = 0; attempt < this.maxChallenges; attempt++) {
+      const challenge = this.challengeSolver.detect(current);
+      if (!challenge) {
+        return current;
+      }
+
+      this.logger.log('INFO', `Solving ${challenge.type} challenge: answering "${challenge.answer}"`);
+
+      // Listen for the bot's next message before answering so it can't slip past
+      const nextMessage = this.waitForResponseMessage(client, bot, recipe.responseTimeout);
+      await this.answerChallenge(client, bot, current, challenge);
+      let next = await nextMessage;
+
+      if (!next && challenge.button && challenge.button.data) {
+        // Bots often edit the challenge message into the real gate instead of sending a new one
+        const [edited] = await client.getMessages(bot, { ids: [current.id] });
+        if (edited && edited.editDate && !this.challengeSolver.detect(edited)) {
+          next = edited;
+        }
+      }
+
+      if (!next) {
+        this.logger.log('WARN', 'No reply from bot after answering its challenge');
+        return null;
+      }
+      current = next;
+    }
+
+    this.logger.log('WARN', `Bot sent more than ${this.maxChallenges} challenges, continuing with its last message`);
+    return current;
+  }
+
+  async answerChallenge(client, bot, message, challenge) {
+    if (challenge.button && challenge.button.data) {
+      return this.clickCallbackButton(client, bot, message, challenge.button);
+    }
+
+    // Reply-keyboard buttons and buttonless questions are answered in text
+    return this.sendStartCommand(client, bot, challenge.answer);
+  }
+
   async resolveBot(client, botUsername) {
     try {
       const result = await client.invoke(
@@ -204,15 +394,15 @@ class BotInteractionHandler extends EventEmitter {
     });
   }
 
-  async waitForResponseMessage(client, bot) {
+  async waitForResponseMessage(client, bot, timeout = this.timeout) {
     return new Promise((resolve) => {
       let responseReceived = false;
       const timeoutId = setTimeout(() => {
         if (!responseReceived) {
-          this.logger.log('ERROR', 'Bot response timeout (30 seconds)');
+          this.logger.log('ERROR', `Bot response timeout (${timeout / 1000} seconds)`);
           resolve(null);
         }
-      }, this.timeout);
+      }, timeout);
 
       const handler = async (event) => {
         try {
@@ -234,54 +424,139 @@ class BotInteractionHandler extends EventEmitter {
     });
   }
 
-  async joinChannelsFromButtons(client, replyMarkup, botChatId = null) {
-    const channelButtons = [];
-    
-    // Extract all buttons except the last row (which contains confirm button)
-    for (let i = 0; i < replyMarkup.rows.length - 1; i++) {
-      const row = replyMarkup.rows[i];
-      for (const button of row.buttons) {
-        if (button.url) {
-          channelButtons.push(button);
-        }
+  findJoinButtons(replyMarkup, recipe = RecipeRegistry.DEFAULT_RECIPE) {
+    const { rows, textPattern, excludeTextPattern } = recipe.joinButtons;
+    const include = textPattern ? new RegExp(textPattern, 'i') : null;
+    const exclude = excludeTextPattern ? new RegExp(excludeTextPattern, 'i') : null;
+
+    // By default every row except the last (which holds the confirm button)
+    const candidateRows = rows === 'all' ? replyMarkup.rows : replyMarkup.rows.slice(0, -1);
+
+    return candidateRows
+      .flatMap(row => row.buttons)
+      .filter(button => button.url)
+      .filter(button => !include || include.test(button.text))
+      .filter(button => !exclude || !exclude.test(button.text));
+  }
+
+  findConfirmButtons(replyMarkup, recipe = RecipeRegistry.DEFAULT_RECIPE) {
+    const { textPattern, row, column, clickAll } = recipe.confirmButton;
+
+    // Prefer a callback button whose text matches the recipe
+    if (textPattern) {
+      const matcher = new RegExp(textPattern, 'i');
+      const matches = replyMarkup.rows
+        .flatMap(item => item.buttons)
+        .filter(button => button.data && matcher.test(button.text));
+
+      if (matches.length > 0) {
+        return clickAll ? matches : [matches[0]];
       }
+      this.logger.log('WARN', `No button matches confirm pattern /${textPattern}/, falling back to position`);
+    }
+
+    // Fall back to the configured position
+    const rowIndex = row < 0 ? replyMarkup.rows.length + row : row;
+    const targetRow = replyMarkup.rows[rowIndex];
+    if (!targetRow) {
+      return [];
     }
 
+    const columnIndex = column < 0 ? targetRow.buttons.length + column : column;
+    const button = targetRow.buttons[columnIndex];
+    return button ? [button] : [];
+  }
+
+  async joinChannelsFromButtons(client, replyMarkup, context = {}) {
+    const recipe = context.recipe || RecipeRegistry.DEFAULT_RECIPE;
+    return this.joinChannels(client, this.findJoinButtons(replyMarkup, recipe), context);
+  }
+
+  async joinChannels(client, channelButtons, context = {}) {
+    // Joins and approval waits can outlast the media idle timeout, so media collection stays open
+    // until they're done and the idle time counts from there
+    const activity = context.activity;
+    if (activity) {
+      activity.busy++;
+    }
+
+    try {
+      return await this.joinChannelList(client, channelButtons, context);
+    } finally {
+      if (activity) {
+        activity.busy--;
+        activity.lastActive = Date.now();
+      }
+    }
+  }
+
+  async joinChannelList(client, channelButtons, context = {}) {
+    const recipe = context.recipe || RecipeRegistry.DEFAULT_RECIPE;
     const totalChannels = channelButtons.length;
-    this.logger.log('INFO', `Found ${totalChannels} channel buttons to join`);
+    this.logger.log('INFO', `Found ${totalChannels} channels to join`);
 
-    let successCount = 0;
+    // A resumed request continues from the channel where the flood wait stopped it
+    const startIndex = Math.min(context.startChannelIndex || 0, totalChannels);
+    if (startIndex > 0) {
+      this.logger.log('INFO', `Resuming channel joins at ${startIndex + 1}/${totalChannels}`);
+    }
+
+    let successCount = context.joinedCount || 0; // Joins a parked request made before it stopped count too
+    const pendingApproval = []; // Channels where we only sent a join request
     let floodWaitDetected = false;
     let maxFloodWait = 0;
+    let stoppedAt = null;
+
+    // Don't spend a join attempt on an account that is still flood-waited
+    if (context.joinBlockedUntil && context.joinBlockedUntil > Date.now() && startIndex < totalChannels) {
+      floodWaitDetected = true;
+      maxFloodWait = Math.ceil((context.joinBlockedUntil - Date.now()) / 1000);
+      stoppedAt = startIndex;
+      this.logger.log('WARN', `⚠️ Account is still rate limited for ${formatWaitTime(maxFloodWait)}, skipping channel joins`);
+    }
 
     // Join each channel
-    for (let i = 0; i < channelButtons.length; i++) {
+    for (let i = startIndex; i < channelButtons.length && !floodWaitDetected; i++) {
       const button = channelButtons[i];
       
       // Emit progress event
-      if (botChatId) {
+      if (context.chatId) {
         this.emit('channelProgress', {
-          chatId: botChatId,
+          chatId: context.chatId,
+          requestId: context.requestId,
           current: i + 1,
           total: totalChannels
         });
       }
       
-      const result = await this.joinChannelFromUrl(client, button.url, button.text);
+      let result = await this.joinChannelFromUrl(client, button.url, button.text, context);
+
+      // At Telegram's channel cap - leave the oldest channels we joined and try once more
+      if (result.channelsTooMuch) {
+        const freed = await this.freeChannelSlots(client, context.accountName);
+        if (freed > 0) {
+          result = await this.joinChannelFromUrl(client, button.url, button.text, context);
+        }
+      }
       
       if (result.success) {
         successCount++;
       }
+
+      if (result.pendingApproval) {
+        pendingApproval.push(button);
+      }
       
       if (result.floodWait > 0) {
         floodWaitDetected = true;
         maxFloodWait = Math.max(maxFloodWait, result.floodWait);
+        stoppedAt = i;
         this.logger.log('WARN', `⚠️ Stopping channel joins due to rate limit (${formatWaitTime(result.floodWait)} wait required)`);
         break; // Stop trying to join more channels
       }
       
       // Increased delay between joins to avoid rate limits
-      await this.sleep(3000);
+      await this.sleep(recipe.joinDelay);
     }
     
     this.logger.log('INFO', `Successfully joined ${successCount}/${totalChannels} channels`);
@@ -290,51 +565,145 @@ class BotInteractionHandler extends EventEmitter {
       this.logger.log('INFO', `📊 Raw Telegram flood wait value: ${maxFloodWait} seconds`);
       this.logger.log('WARN', `⚠️ Telegram rate limit reached. Please wait ${formatWaitTime(maxFloodWait)} before trying again.`);
       // Emit flood wait event
-      if (botChatId) {
+      if (context.chatId) {
         this.emit('floodWait', {
-          chatId: botChatId,
+          chatId: context.chatId,
+          requestId: context.requestId,
           waitSeconds: maxFloodWait,
           joinedCount: successCount,
           totalCount: totalChannels
         });
       }
-      return { success: false, floodWait: maxFloodWait, joinedCount: successCount };
+      return { success: false, floodWait: maxFloodWait, joinedCount: successCount, stoppedAt };
+    }
+
+    // Hold off confirming until admins approve our join requests (or we give up waiting)
+    let pendingCount = 0;
+    if (pendingApproval.length > 0) {
+      pendingCount = await this.waitForApproval(client, pendingApproval, context);
+      successCount += pendingApproval.length - pendingCount;
+      context.pendingApprovals = pendingCount;
     }
     
     // Additional delay after all joins to ensure they're processed by Telegram servers
     this.logger.log('INFO', 'Waiting for channel joins to be fully processed by Telegram...');
-    await this.sleep(5000);
+    await this.sleep(recipe.postJoinDelay);
     
-    return { success: true, floodWait: 0, joinedCount: successCount };
+    return { success: true, floodWait: 0, joinedCount: successCount, pendingCount };
   }
 
-  async joinChannelFromUrl(client, url, buttonText) {
+  async waitForApproval(client, channels, context = {}) {
+    const recipe = context.recipe || RecipeRegistry.DEFAULT_RECIPE;
+    const deadline = Date.now() + recipe.approvalTimeout;
+    let waiting = channels;
+
+    this.logger.log('INFO', `Waiting up to ${formatWaitTime(Math.ceil(recipe.approvalTimeout / 1000))} for approval in ${waiting.length} channel(s)`);
+
+    while (waiting.length > 0 && Date.now() < deadline) {
+      if (context.chatId) {
+        this.emit('approvalPending', {
+          chatId: context.chatId,
+          requestId: context.requestId,
+          pending: waiting.length
+        });
+      }
+
+      await this.sleep(Math.min(recipe.approvalPollInterval, deadline - Date.now()));
+
+      const stillWaiting = [];
+      for (const button of waiting) {
+        const channel = await this.checkMembership(client, button.url);
+        if (channel) {
+          this.logger.log('INFO', `✅ Join request approved: ${button.text}`);
+          this.recordJoin(channel, button.url, context);
+        } else {
+          stillWaiting.push(button);
+        }
+      }
+      waiting = stillWaiting;
+    }
+
+    if (waiting.length > 0) {
+      this.logger.log('WARN', `⚠️ Still waiting for approval in ${waiting.length} channel(s), confirming anyway`);
+    }
+    return waiting.length;
+  }
+
+  async checkMembership(client, url) {
+    // Returns the chat once we're a member, null while the join request is pending
+    const channelLink = this.channelLinkParser.parse(url);
+    if (!channelLink || channelLink.type === 'private') {
+      return null;
+    }
+
+    try {
+      if (channelLink.type === 'invite') {
+        const invite = await client.invoke(
+          new Api.messages.CheckChatInvite({
+            hash: channelLink.inviteHash
+          })
+        );
+        return invite.className === 'ChatInviteAlready' ? this.describeChat(invite.chat) : null;
+      }
+
+      const resolved = await client.invoke(
+        new Api.contacts.ResolveUsername({
+          username: channelLink.username
+        })
+      );
+      if (!resolved.chats || resolved.chats.length === 0) {
+        return null;
+      }
+
+      await client.invoke(
+        new Api.channels.GetParticipant({
+          channel: resolved.chats[0],
+          participant: new Api.InputPeerSelf()
+        })
+      );
+      return this.describeChat(resolved.chats[0]);
+    } catch (error) {
+      if (!error.message || !error.message.includes('USER_NOT_PARTICIPANT')) {
+        this.logger.log('WARN', `Failed to check membership for ${url}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+
+  async joinChannelFromUrl(client, url, buttonText, context = {}) {
     try {
-      // Extract channel username from URL
-      // URLs can be like: https://t.me/channelname or https://t.me/+inviteHash
-      const match = url.match(/t\.me\/([^?]+)/);
-      if (!match) {
+      // Extract username, invite hash or private channel reference from the URL
+      const channelLink = this.channelLinkParser.parse(url);
+      if (!channelLink) {
         this.logger.log('WARN', `Could not parse channel URL: ${url}`);
         return { success: false, floodWait: 0 };
       }
 
-      const channelIdentifier = match[1];
+      // t.me/c/... links only open for members and can't be joined through
+      if (channelLink.type === 'private') {
+        this.logger.log('WARN', `Cannot join private channel ${channelLink.channelId} without an invite link: ${buttonText}`);
+        return { success: false, floodWait: 0 };
+      }
       
-      // Handle invite links (starting with +)
-      if (channelIdentifier.startsWith('+')) {
-        const inviteHash = channelIdentifier.substring(1);
+      // Handle invite links
+      if (channelLink.type === 'invite') {
+        const inviteHash = channelLink.inviteHash;
         this.logger.log('INFO', `Joining channel via invite link: ${inviteHash}`);
         
-        await client.invoke(
+        const updates = await client.invoke(
           new Api.messages.ImportChatInvite({
             hash: inviteHash
           })
         );
         
         this.logger.log('INFO', `✅ Joined channel via invite: ${buttonText}`);
-        return { success: true, floodWait: 0 };
+        const joined = updates.chats && updates.chats.length > 0 ? this.describeChat(updates.chats[0]) : null;
+        this.recordJoin(joined, url, context);
+        return { success: true, floodWait: 0, channel: joined };
       } else {
         // Regular channel username
+        const channelIdentifier = channelLink.username;
         this.logger.log('INFO', `Joining channel: ${channelIdentifier}`);
         
         const channel = await client.invoke(
@@ -351,7 +720,9 @@ class BotInteractionHandler extends EventEmitter {
           );
           
           this.logger.log('INFO', `✅ Joined channel: ${buttonText} (@${channelIdentifier})`);
-          return { success: true, floodWait: 0 };
+          const joined = this.describeChat(channel.chats[0]);
+          this.recordJoin(joined, url, context);
+          return { success: true, floodWait: 0, channel: joined };
         }
       }
       return { success: false, floodWait: 0 };
@@ -359,8 +730,26 @@ class BotInteractionHandler extends EventEmitter {
       // Check if already a member
       if (error.message && error.message.includes('USER_ALREADY_PARTICIPANT')) {
         this.logger.log('INFO', `ℹ️ Already a member of channel: ${buttonText}`);
+        if (this.channelLedger && context.accountName) {
+          const channel = await this.checkMembership(client, url);
+          if (channel) {
+            this.channelLedger.touch(context.accountName, channel.id, context);
+          }
+        }
         return { success: true, floodWait: 0 };
       }
+
+      // Channel needs admin approval - a join request was sent instead
+      if (error.message && error.message.includes('INVITE_REQUEST_SENT')) {
+        this.logger.log('INFO', `📨 Join request sent, pending approval: ${buttonText}`);
+        return { success: false, floodWait: 0, pendingApproval: true };
+      }
+
+      // Account is in too many channels already
+      if (error.message && error.message.includes('CHANNELS_TOO_MUCH')) {
+        this.logger.log('WARN', `⚠️ Channel limit reached while joining ${buttonText}`);
+        return { success: false, floodWait: 0, channelsTooMuch: true };
+      }
       
       // Check for flood wait error
       if (error.message && error.message.includes('A wait of')) {
@@ -376,12 +765,97 @@ class BotInteractionHandler extends EventEmitter {
     }
   }
 
-  async clickConfirmButton(client, bot, originalMessage) {
+  describeChat(chat) {
+    return {
+      id: chat.id.toString(),
+      accessHash: chat.accessHash ? chat.accessHash.toString() : null,
+      type: chat.className === 'Channel' ? 'channel' : 'chat',
+      title: chat.title || null,
+      username: chat.username || null
+    };
+  }
+
+  recordJoin(channel, url, context) {
+    if (this.channelLedger && channel && context.accountName) {
+      this.channelLedger.record(context.accountName, channel, url, context);
+    }
+    this.emit('channelJoined', { requestId: context.requestId, userId: context.userId, url });
+  }
+
+  async leaveChannel(client, entry) {
     try {
-      // Get the last row (confirm button row)
-      const lastRow = originalMessage.replyMarkup.rows[originalMessage.replyMarkup.rows.length - 1];
-      const confirmButton = lastRow.buttons[0];
+      if (entry.type === 'channel') {
+        await client.invoke(
+          new Api.channels.LeaveChannel({
+            channel: new Api.InputChannel({
+              channelId: returnBigInt(entry.channelId),
+              accessHash: returnBigInt(entry.accessHash)
+            })
+          })
+        );
+      } else {
+        // Basic groups joined through an invite link
+        await client.invoke(
+          new Api.messages.DeleteChatUser({
+            chatId: returnBigInt(entry.channelId),
+            userId: new Api.InputUserSelf()
+          })
+        );
+      }
+
+      this.logger.log('INFO', `👋 Left ${entry.title || entry.channelId} (joined for ${entry.botUsername || 'unknown bot'})`);
+      return true;
+    } catch (error) {
+      // Already gone - nothing left to clean up
+      if (error.message && /USER_NOT_PARTICIPANT|CHANNEL_PRIVATE|CHANNEL_INVALID|CHAT_ID_INVALID/.test(error.message)) {
+        this.logger.log('INFO', `ℹ️ No longer in ${entry.title || entry.channelId}`);
+        return true;
+      }
+
+      this.logger.log('ERROR', `Failed to leave ${entry.title || entry.channelId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async freeChannelSlots(client, accountName) {
+    if (!this.channelLedger || !accountName) {
+      this.logger.log('WARN', 'Channel limit reached but there is no ledger to free channels from');
+      return 0;
+    }
+
+    let freed = 0;
+    for (const entry of this.channelLedger.getOldest(accountName, this.channelsToFree)) {
+      if (await this.leaveChannel(client, entry)) {
+        this.channelLedger.remove(entry.id);
+        freed++;
+      }
+    }
+
+    this.logger.log('INFO', `Freed ${freed} channel slot(s) for account ${accountName}`);
+    return freed;
+  }
+
+  async clickConfirmButton(client, bot, originalMessage, recipe = RecipeRegistry.DEFAULT_RECIPE) {
+    const confirmButtons = this.findConfirmButtons(originalMessage.replyMarkup, recipe);
+    if (confirmButtons.length === 0) {
+      this.logger.log('WARN', 'No confirm button found in bot response');
+      return null;
+    }
+
+    let result = null;
+    for (const confirmButton of confirmButtons) {
+      result = await this.clickCallbackButton(client, bot, originalMessage, confirmButton);
+
+      // Stop at the first popup alert so the caller can react to it
+      if (result && result.alert) {
+        return result;
+      }
+    }
+    return result;
+  }
 
+  async clickCallbackButton(client, bot, originalMessage, confirmButton) {
+    try {
       this.logger.log('INFO', `Clicking confirm button: ${confirmButton.text}`);
 
       // Click the button by sending callback query
@@ -416,59 +890,44 @@ class BotInteractionHandler extends EventEmitter {
     }
   }
 
-  async clickConfirmButtonAndForwardMedia(client, bot, originalMessage, originalSenderId, botChatId = null) {
-    // Get the last row (confirm button row)
-    const lastRow = originalMessage.replyMarkup.rows[originalMessage.replyMarkup.rows.length - 1];
-    const confirmButton = lastRow.buttons[0];
-
-    this.logger.log('INFO', `Clicking confirm button: ${confirmButton.text}`);
-
+  async clickConfirmButtonAndForwardMedia(client, bot, originalMessage, originalSenderId, context = {}) {
     // Start listening for media BEFORE clicking the button
-    const mediaPromise = this.waitAndForwardMediaMessagesWithRetry(client, bot, originalSenderId, botChatId);
+    const mediaPromise = this.waitAndForwardMediaMessagesWithRetry(client, bot, originalSenderId, context);
 
     // Give a tiny delay to ensure event handler is registered
     await new Promise(resolve => setImmediate(resolve));
 
-    try {
-      // Click the button by sending callback query
-      await client.invoke(
-        new Api.messages.GetBotCallbackAnswer({
-          peer: bot,
-          msgId: originalMessage.id,
-          data: confirmButton.data
-        })
-      );
-      this.logger.log('INFO', `✅ Confirm button clicked`);
-    } catch (error) {
-      if (error.message && error.message.includes('BOT_RESPONSE_TIMEOUT')) {
-        this.logger.log('INFO', `✅ Confirm button clicked (bot didn't respond to callback, will send media)`);
-      } else {
-        this.logger.log('WARN', `Button click warning: ${error.message}`);
-      }
-    }
+    await this.clickConfirmButton(client, bot, originalMessage, context.recipe);
 
     // Wait for media collection to complete
     await mediaPromise;
   }
 
-  async waitAndForwardMediaMessagesWithRetry(client, bot, originalSenderId, botChatId = null) {
+  async waitAndForwardMediaMessagesWithRetry(client, bot, originalSenderId, context = {}) {
     this.logger.log('INFO', `Starting media collection for bot: ${bot.id?.toString() || 'unknown'}`);
     this.logger.log('DEBUG', `Bot object type: ${typeof bot}, has id: ${!!bot.id}`);
     
+    const recipe = context.recipe || RecipeRegistry.DEFAULT_RECIPE;
+    const successPattern = recipe.success.textPattern ? new RegExp(recipe.success.textPattern, 'i') : null;
+
     return new Promise((resolve) => {
       const mediaMessages = [];
       let lastMessageTime = Date.now();
-      const mediaTimeout = 10000; // 10 seconds after last media message
+      const mediaTimeout = recipe.mediaIdleTimeout; // Idle time after last message from the bot
       let mediaCount = 0;
+      let successTextSeen = false;
+      let gatesSeen = 0;
       let retryAttempted = false;
       let totalMessagesReceived = 0;
       
+      const activity = context.activity || { busy: 0, lastActive: 0 };
+      
       const checkTimeout = setInterval(() => {
-        if (Date.now() - lastMessageTime > mediaTimeout) {
+        if (activity.busy === 0 && Date.now() - Math.max(lastMessageTime, activity.lastActive) > mediaTimeout) {
           clearInterval(checkTimeout);
           client.removeEventHandler(handler);
           this.logger.log('INFO', `Media collection complete: ${mediaMessages.length} media messages collected from ${totalMessagesReceived} total messages`);
-          resolve({ mediaCount: mediaMessages.length, totalMessages: totalMessagesReceived });
+          resolve({ mediaCount: mediaMessages.length, totalMessages: totalMessagesReceived, successTextSeen });
         }
       }, 1000);
 
@@ -488,38 +947,35 @@ class BotInteractionHandler extends EventEmitter {
                            message.peerId?.userId?.toString() === botId;
           
           if (isFromBot) {
-            this.logger.log('DEBUG', `[${totalMessagesReceived}] ✓ From target bot - photo: ${!!message.photo}, video: ${!!message.video}, document: ${!!message.document}`);
+            this.logger.log('DEBUG', `[${totalMessagesReceived}] ✓ From target bot - media: ${getMediaType(message) || 'none'}`);
             lastMessageTime = Date.now();
+
+            if (successPattern && successPattern.test(message.text || message.message || '')) {
+              successTextSeen = true;
+            }
             
-            // Check if bot is sending join links again (retry scenario)
-            if (!retryAttempted && message.replyMarkup && message.replyMarkup.rows) {
+            // Check if bot is sending join links again (retry scenario) - the first gate is
+            // handled by runInteraction, so only a repeated one triggers a retry
+            const isChallenge = recipe.solveChallenges && this.challengeSolver.detect(message);
+            const gate = isChallenge ? { type: 'none' } : this.detectGate(message, recipe);
+            const isGate = this.isGateMessage(message, gate, recipe);
+            if (isGate) {
+              gatesSeen++;
+            }
+
+            if (isGate && !retryAttempted && gatesSeen > 1) {
               this.logger.log('WARN', '⚠️ Bot sent join links again - channels may not have been joined properly');
               retryAttempted = true;
               
-              // Re-join channels from the new message
-              await this.joinChannelsFromButtons(client, message.replyMarkup, botChatId);
-              
-              // Click the confirm button again
-              const lastRow = message.replyMarkup.rows[message.replyMarkup.rows.length - 1];
-              const confirmButton = lastRow.buttons[0];
-              
-              this.logger.log('INFO', `Re-clicking confirm button: ${confirmButton.text}`);
-              
-              try {
-                await client.invoke(
-                  new Api.messages.GetBotCallbackAnswer({
-                    peer: bot,
-                    msgId: message.id,
-                    data: confirmButton.data
-                  })
-                );
-                this.logger.log('INFO', `✅ Confirm button re-clicked successfully`);
-              } catch (error) {
-                if (error.message && error.message.includes('BOT_RESPONSE_TIMEOUT')) {
-                  this.logger.log('INFO', `✅ Confirm button re-clicked (timeout expected)`);
-                } else {
-                  this.logger.log('WARN', `Button re-click warning: ${error.message}`);
-                }
+              if (gate.type === 'inline') {
+                // Re-join channels from the new message
+                await this.joinChannelsFromButtons(client, message.replyMarkup, { ...context, startChannelIndex: 0, joinedCount: 0 });
+                
+                // Click the confirm button again
+                this.logger.log('INFO', 'Re-clicking confirm button...');
+                await this.clickConfirmButton(client, bot, message, recipe);
+              } else {
+                await this.passTextGate(client, bot, message, gate, { ...context, startChannelIndex: 0, joinedCount: 0 });
               }
               
               // Reset timeout to wait for media after retry
@@ -527,8 +983,9 @@ class BotInteractionHandler extends EventEmitter {
               return;
             }
             
-            // Check if message has media (photo, video, or document)
-            if (message.photo || message.video || message.document) {
+            // Check if message has media of any relayable type
+            const mediaType = getMediaType(message);
+            if (mediaType) {
               // Check if this is part of a media group/album
               const groupedId = message.groupedId?.toString();
               if (groupedId) {
@@ -538,26 +995,25 @@ class BotInteractionHandler extends EventEmitter {
               mediaMessages.push(message);
               mediaCount++;
               
-              const mediaType = message.photo ? 'photo' : message.video ? 'video' : 'document';
               this.logger.log('INFO', `📥 Received ${mediaType} from bot (${mediaCount} total)${groupedId ? ` [group: ${groupedId}]` : ''}`);
               
               // Emit progress event
-              if (botChatId) {
+              if (context.chatId) {
                 this.emit('mediaProgress', {
-                  chatId: botChatId,
+                  chatId: context.chatId,
+                  requestId: context.requestId,
                   current: mediaCount,
-                  total: mediaCount
+                  total: mediaCount,
+                  mediaType
                 });
               }
               
               // Forward the media
-              if (botChatId) {
-                // Forward to bot account (botChatId is the bot's user ID)
-                this.emit('mediaReceived', { message, botChatId, botId: bot.id });
-              } else if (originalSenderId) {
-                // Direct forward to user
-                await this.forwardMessageToUser(client, message, originalSenderId);
-              }
+              await this.relayMessage(client, bot, message, originalSenderId, context);
+            } else if (!isGate && !isChallenge && this.isContentText(message, recipe)) {
+              // Text that carries the actual content (links, codes, passwords) goes to the user too
+              this.logger.log('INFO', `📝 Received text content from bot: "${message.message.substring(0, 50)}"`);
+              await this.relayMessage(client, bot, message, originalSenderId, context);
             } else {
               this.logger.log('DEBUG', `Message from bot has no media - text: "${message.text?.substring(0, 50) || 'none'}"`);
             }
@@ -574,21 +1030,75 @@ class BotInteractionHandler extends EventEmitter {
     });
   }
 
-  async waitAndForwardMediaMessages(client, bot, originalSenderId, botChatId = null) {
+  isGateMessage(message, gate, recipe = RecipeRegistry.DEFAULT_RECIPE) {
+    // A later bot message only counts as a gate if it has no media and the recipe recognises it -
+    // share or link buttons under content don't make it one
+    if (gate.type === 'none' || getMediaType(message)) {
+      return false;
+    }
+
+    if (gate.type !== 'inline') {
+      return true; // The reply button or command already matched the recipe's gate patterns
+    }
+
+    const markup = message.replyMarkup;
+    const channelButtons = this.findJoinButtons(markup, recipe).filter(button => this.channelLinkParser.parse(button.url));
+    const confirmPattern = recipe.confirmButton.textPattern ? new RegExp(recipe.confirmButton.textPattern, 'i') : null;
+    const hasConfirmButton = !!confirmPattern && markup.rows
+      .flatMap(row => row.buttons)
+      .some(button => button.data && confirmPattern.test(button.text));
+
+    return channelButtons.length > 0 || hasConfirmButton;
+  }
+
+  isContentText(message, recipe = RecipeRegistry.DEFAULT_RECIPE) {
+    const text = (message.message || '').trim();
+    if (!recipe.relayText || !text) {
+      return false;
+    }
+
+    // Drop "please join our channels" and similar boilerplate
+    const boilerplate = recipe.boilerplatePatterns.find(pattern => new RegExp(pattern, 'i').test(text));
+    if (boilerplate) {
+      this.logger.log('DEBUG', `Dropping boilerplate text from bot (matched /${boilerplate}/)`);
+      return false;
+    }
+    return true;
+  }
+
+  async relayMessage(client, bot, message, originalSenderId, context = {}) {
+    if (context.chatId) {
+      // Forward to bot account, routed by the request that asked for it
+      this.emit('mediaReceived', {
+        message,
+        client,
+        botChatId: context.chatId,
+        requestId: context.requestId,
+        link: context.link,
+        botId: bot.id,
+        accountId: context.accountId // The account that relays it to the bot account
+      });
+    } else if (originalSenderId) {
+      // Direct forward to user
+      await this.forwardMessageToUser(client, message, originalSenderId, context.forwardOptions);
+    }
+  }
+
+  async waitAndForwardMediaMessages(client, bot, originalSenderId, context = {}) {
     // Redirect to the retry-enabled version
-    return this.waitAndForwardMediaMessagesWithRetry(client, bot, originalSenderId, botChatId);
+    return this.waitAndForwardMediaMessagesWithRetry(client, bot, originalSenderId, context);
   }
 
-  async forwardMessageToUser(client, message, userId) {
+  async forwardMessageToUser(client, message, userId, options = {}) {
     try {
-      // Forward the message to the original sender
+      // Forward the message to the original sender (options: dropAuthor, noforwards, silent)
       await client.forwardMessages(userId, {
+        ...options,
         messages: [message.id],
         fromPeer: message.peerId
       });
       
-      const mediaType = message.photo ? 'photo' : message.video ? 'video' : 'document';
-      this.logger.log('INFO', `📤 Forwarded ${mediaType} to user ${userId}`);
+      this.logger.log('INFO', `📤 Forwarded ${getMediaType(message) || 'text'} to user ${userId}`);
     } catch (error) {
       this.logger.log('ERROR', `Failed to forward message to user ${userId}: ${error.message}`);
     }
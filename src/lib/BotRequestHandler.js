@@ -1,96 +1,172 @@
 const { formatWaitTime } = require('../utils/TimeFormatter');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { formatFileSize } = require('../utils/SizeFormatter');
+const { getMediaType, describeMediaType } = require('../utils/MediaType');
+const { toBotApiDescriptor, getFileInfo } = require('../utils/MessageConverter');
 
-class BotRequestHandler {
-  constructor(client, botInteractionHandler, telegramBot, requestTracker, logger) {
-    this.client = client;
+class BotRequestHandler extends EventEmitter {
+  constructor(accountPool, botInteractionHandler, telegramBot, requestTracker, logger, resultCache = null, deliveryMode = 'relay', deliveryOptions = null, downloadDir = null) {
+    super();
+    this.accountPool = accountPool;
     this.botInteractionHandler = botInteractionHandler;
     this.telegramBot = telegramBot;
     this.requestTracker = requestTracker;
     this.logger = logger;
-    this.currentRequest = null;
-    this.statusMessageId = null;
-    this.pendingMediaForwards = [];
+    this.resultCache = resultCache;
+    // 'relay': forward to our bot account and re-send by file_id, 'direct': download and upload
+    this.deliveryMode = deliveryMode;
+    this.deliveryOptions = deliveryOptions; // Protected content, spoiler and silent delivery per chat
+    // Direct mode downloads files here and uploads them from disk, so large files never sit in memory
+    this.downloadDir = downloadDir || path.join(os.tmpdir(), 'bot-downloads');
+    if (this.deliveryMode === 'direct') {
+      // Anything still here was left behind by a crash
+      fs.rmSync(this.downloadDir, { recursive: true, force: true });
+      fs.mkdirSync(this.downloadDir, { recursive: true });
+    }
+    // Map: requestId -> { request, statusMessageId, pendingMediaForwards }
+    this.activeRequests = new Map();
+    // Map: requestId -> countdown timer for parked requests
+    this.countdowns = new Map();
+    this.albumDelay = 1500; // Quiet time after the last album item before the album is forwarded
   }
 
   async handleRequest(request) {
-    this.currentRequest = request;
-    this.statusMessageId = null;
-    this.pendingMediaForwards = [];
+    // Per-request state so several requests can be processed at once
+    const state = {
+      request,
+      statusMessageId: null,
+      pendingMediaForwards: [],
+      mediaCount: 0,
+      skippedCount: 0, // Files too large to deliver
+      albums: new Map(), // groupedId -> { messages, timer, forwarded, resolve }
+      deliveryChain: Promise.resolve() // Direct deliveries run one at a time to keep their order
+    };
+    this.activeRequests.set(request.id, state);
     
-    try {
-      // Send initial processing message and store message ID
-      this.statusMessageId = await this.sendStatusUpdate(request.chatId, '🔄 Starting...');
+    // Set up progress event listeners (events are scoped to this request)
+    const channelProgressHandler = (data) => {
+      if (data.requestId === request.id) {
+        this.updateStatus(state, `🔗 Joining channel ${data.current}/${data.total}...`);
+      }
+    };
 
-      // Set up progress event listeners
-      const channelProgressHandler = (data) => {
-        if (data.chatId === request.chatId) {
-          this.updateStatus(request.chatId, `🔗 Joining channel ${data.current}/${data.total}...`);
-        }
-      };
+    const mediaProgressHandler = (data) => {
+      if (data.requestId === request.id) {
+        this.updateStatus(state, `📥 Receiving ${describeMediaType(data.mediaType)} (${data.current})...`);
+      }
+    };
 
-      const mediaProgressHandler = (data) => {
-        if (data.chatId === request.chatId) {
-          this.updateStatus(request.chatId, `📥 Receiving media ${data.current}...`);
-        }
-      };
+    const approvalPendingHandler = (data) => {
+      if (data.requestId === request.id) {
+        this.updateStatus(state, `⏳ Waiting for approval in ${data.pending} channel(s)...`);
+      }
+    };
 
-      const mediaReceivedHandler = async (data) => {
-        if (data.botChatId === request.chatId) {
-          // Forward media from client to bot account
-          const forwardPromise = this.forwardMediaToBotAccount(data.message);
-          this.pendingMediaForwards.push(forwardPromise);
+    const mediaReceivedHandler = async (data) => {
+      if (data.requestId === request.id) {
+        const route = {
+          requestId: request.id,
+          endUserId: request.userId,
+          endUserChatId: request.chatId,
+          link: data.link,
+          relayAccountId: data.accountId
+        };
+        state.mediaCount++;
+        if (this.resultCache) {
+          this.resultCache.expect(data.link);
         }
-      };
 
-      const floodWaitHandler = (data) => {
-        if (data.chatId === request.chatId) {
-          this.updateStatus(
-            request.chatId, 
-            `⏳ Telegram rate limit reached!\n\n` +
-            `Joined ${data.joinedCount}/${data.totalCount} channels.\n` +
-            `Please wait ${formatWaitTime(data.waitSeconds)} before trying again.`
-          );
+        // Album items are held back and forwarded together so they stay one album
+        const groupedId = data.message.groupedId?.toString();
+        if (groupedId) {
+          this.bufferAlbumItem(state, groupedId, data.client, data.message, route);
+          return;
         }
-      };
+
+        // Deliver media from client to the end user
+        const forwardPromise = this.deliverMessages(state, data.client, [data.message], route);
+        state.pendingMediaForwards.push(forwardPromise);
+      }
+    };
+
+    const floodWaitHandler = (data) => {
+      if (data.requestId === request.id) {
+        this.updateStatus(
+          state, 
+          `⏳ Telegram rate limit reached!\n\n` +
+          `Joined ${data.joinedCount}/${data.totalCount} channels.\n` +
+          `Rate limit: ${formatWaitTime(data.waitSeconds)}.`
+        );
+      }
+    };
+
+    try {
+      // Send initial processing message and store message ID (a resumed request keeps its message)
+      if (request.statusMessageId) {
+        state.statusMessageId = request.statusMessageId;
+        await this.stopCountdown(request.id);
+        await this.updateStatus(state, '🔄 Resuming...');
+      } else {
+        state.statusMessageId = await this.sendStatusUpdate(request.chatId, '🔄 Starting...');
+      }
 
       this.botInteractionHandler.on('channelProgress', channelProgressHandler);
       this.botInteractionHandler.on('mediaProgress', mediaProgressHandler);
+      this.botInteractionHandler.on('approvalPending', approvalPendingHandler);
       this.botInteractionHandler.on('mediaReceived', mediaReceivedHandler);
       this.botInteractionHandler.on('floodWait', floodWaitHandler);
 
-      let rateLimitHit = false;
+      let parked = false;
 
-      // Process each bot link
-      for (let i = 0; i < request.botLinks.length; i++) {
+      // Process each bot link, starting where a parked request stopped
+      const resumeState = request.resumeState || { linkIndex: 0, channelIndex: 0 };
+      for (let i = resumeState.linkIndex; i < request.botLinks.length; i++) {
         const link = request.botLinks[i];
         
         this.logger.log('INFO', `Processing bot link ${i + 1}/${request.botLinks.length}: ${link.botUsername}`);
         
         if (request.botLinks.length > 1) {
           await this.updateStatus(
-            request.chatId, 
+            state, 
             `📝 Processing link ${i + 1} of ${request.botLinks.length}...`
           );
         }
 
-        // Process the bot link - botChatId is actually the bot account's user ID
-        const response = await this.botInteractionHandler.interactWithBot(
-          this.client,
+        // Start a fresh cache entry; media relayed for this link is collected into it and it's
+        // committed once the link succeeds, but only servable once every delivery has landed
+        if (this.resultCache) {
+          this.resultCache.begin(link);
+        }
+
+        const resuming = i === resumeState.linkIndex;
+        const response = await this.processLink(
+          state,
           link,
-          null,
-          request.chatId
+          resuming ? resumeState.channelIndex : 0,
+          resuming ? resumeState.joinedCount || 0 : 0
         );
+        this.emit('linkProcessed', { requestId: request.id, link, success: response.success, floodWait: !!response.floodWait });
+
+        if (response.success && this.resultCache) {
+          this.resultCache.commit(link);
+        }
+
+        this.checkTimedOut(request);
 
         if (!response.success) {
           // Check if it's a flood wait error
           if (response.floodWait) {
-            rateLimitHit = true;
-            await this.updateStatus(
-              request.chatId,
-              `⏳ Telegram rate limit reached!\n\n` +
-              `Please wait ${formatWaitTime(response.floodWait)} before trying again.`
-            );
-            // Don't process remaining links
+            // Park the request - it resumes by itself at this link and channel once the wait expires
+            await Promise.all(state.pendingMediaForwards);
+            request.resumeState = { linkIndex: i, channelIndex: response.channelIndex || 0, joinedCount: response.joinedCount || 0 };
+            request.resumeAt = this.accountPool.getEarliestAvailability() || Date.now() + response.floodWait * 1000;
+            request.statusMessageId = state.statusMessageId;
+            parked = true;
+            this.logger.log('INFO', `Parking request ${request.id} at link ${i + 1}, channel ${request.resumeState.channelIndex + 1} until ${new Date(request.resumeAt).toISOString()}`);
             break;
           } else {
             await this.sendErrorMessage(request.chatId, link.botUsername, response.error);
@@ -98,37 +174,162 @@ class BotRequestHandler {
         }
       }
 
-      // Only send completion message if no rate limit was hit
-      if (!rateLimitHit) {
-        // Wait for all media forwards to complete
-        if (this.pendingMediaForwards.length > 0) {
-          this.logger.log('INFO', `Waiting for ${this.pendingMediaForwards.length} media forwards to complete...`);
-          await this.updateStatus(request.chatId, `📤 Forwarding ${this.pendingMediaForwards.length} file(s)...`);
-          await Promise.all(this.pendingMediaForwards);
-        }
+      if (parked) {
+        return { parked: true, resumeAt: request.resumeAt };
+      }
 
-        // Send completion message
-        await this.updateStatus(request.chatId, `✅ Done! Forwarded ${this.pendingMediaForwards.length} file(s).`);
+      request.resumeState = null;
+
+      // Wait for all media forwards to complete
+      if (state.pendingMediaForwards.length > 0) {
+        this.logger.log('INFO', `Waiting for ${state.pendingMediaForwards.length} media forwards to complete...`);
+        await this.updateStatus(state, `📤 Forwarding ${state.mediaCount} item(s)...`);
+        await Promise.all(state.pendingMediaForwards);
       }
 
-      // Clean up event listeners
-      this.botInteractionHandler.off('channelProgress', channelProgressHandler);
-      this.botInteractionHandler.off('mediaProgress', mediaProgressHandler);
-      this.botInteractionHandler.off('mediaReceived', mediaReceivedHandler);
-      this.botInteractionHandler.off('floodWait', floodWaitHandler);
+      this.checkTimedOut(request);
+
+      // Send completion message
+      const forwardedCount = state.mediaCount - state.skippedCount;
+      const skippedNote = state.skippedCount > 0 ? ` Skipped ${state.skippedCount} file(s) that were too large.` : '';
+      await this.updateStatus(state, `✅ Done! Forwarded ${forwardedCount} item(s).${skippedNote}`);
+
+      return { parked: false };
 
     } catch (error) {
       this.logger.log('ERROR', `Error handling request: ${error.message}`);
       await this.updateStatus(
-        request.chatId,
+        state,
         `❌ An error occurred: ${error.message}\n\nPlease try again later.`
       );
       throw error;
     } finally {
-      this.currentRequest = null;
-      this.statusMessageId = null;
-      this.pendingMediaForwards = [];
+      // Clean up event listeners
+      this.botInteractionHandler.off('channelProgress', channelProgressHandler);
+      this.botInteractionHandler.off('mediaProgress', mediaProgressHandler);
+      this.botInteractionHandler.off('approvalPending', approvalPendingHandler);
+      this.botInteractionHandler.off('mediaReceived', mediaReceivedHandler);
+      this.botInteractionHandler.off('floodWait', floodWaitHandler);
+      this.activeRequests.delete(request.id);
+    }
+  }
+
+  checkTimedOut(request) {
+    // Set by the queue once the request overran its timeout; stop here so it fails instead of finishing late
+    if (request.timedOut) {
+      throw new Error('Request timeout');
+    }
+  }
+
+  async processLink(state, link, startChannelIndex = 0, joinedCount = 0) {
+    const request = state.request;
+    const triedAccounts = [];
+    let account = this.accountPool.pick();
+
+    if (!account) {
+      return {
+        botUsername: link.botUsername,
+        responseText: '',
+        timestamp: new Date(),
+        success: false,
+        error: 'No connected Telegram account available'
+      };
+    }
+
+    while (true) {
+      triedAccounts.push(account);
+      this.logger.log('INFO', `Using account ${account.name} for ${link.botUsername}`);
+
+      // Process the bot link - media is routed back to this request's chat
+      const response = await this.botInteractionHandler.interactWithBot(
+        account.client,
+        link,
+        null,
+        {
+          chatId: request.chatId,
+          requestId: request.id,
+          userId: request.userId,
+          accountName: account.name,
+          accountId: account.userId,
+          startChannelIndex,
+          joinedCount, // Channels of this link already joined before the request was parked
+          joinBlockedUntil: account.floodWaitUntil // Links that need no joins still work while flood-waited
+        }
+      );
+
+      if (response.gateType) {
+        this.logger.log('INFO', `${link.botUsername} gated its content with a ${response.gateType} gate`);
+      }
+
+      if (response.success) {
+        this.accountPool.reportSuccess(account);
+        return response;
+      }
+
+      if (!response.floodWait) {
+        this.accountPool.reportFailure(account, response.error);
+        return response;
+      }
+
+      // Flood wait on this account - move the link to another account that isn't penalized
+      this.accountPool.reportFloodWait(account, response.floodWait);
+      const nextAccount = this.accountPool.pick(triedAccounts);
+
+      if (!nextAccount || this.accountPool.getPenalty(nextAccount) > 0) {
+        return response;
+      }
+
+      this.logger.log('INFO', `Moving ${link.botUsername} from account ${account.name} to ${nextAccount.name} after flood wait`);
+      await this.updateStatus(state, `🔁 Rate limit on one account, retrying with another...`);
+      account = nextAccount;
+    }
+  }
+
+  startCountdown(request) {
+    // Keep the parked request's status message showing how long until it resumes
+    this.stopCountdown(request.id);
+    const countdown = { timer: null, edit: null, stopped: false };
+    this.countdowns.set(request.id, countdown);
+
+    const tick = async () => {
+      const remaining = Math.max(0, Math.ceil((request.resumeAt - Date.now()) / 1000));
+      const state = { request, statusMessageId: request.statusMessageId };
+      countdown.edit = this.updateStatus(
+        state,
+        `⏳ Telegram rate limit reached!\n\n` +
+        `Your request is paused and will resume automatically in ${formatWaitTime(remaining)}.\n` +
+        `Channels already joined are kept.`
+      );
+      await countdown.edit;
+
+      // Stopped while the edit was in flight - the resumed request owns the status message now
+      if (countdown.stopped) {
+        return;
+      }
+      request.statusMessageId = state.statusMessageId;
+
+      if (remaining > 0) {
+        // Edit less often while the wait is long to stay clear of Bot API limits
+        countdown.timer = setTimeout(tick, remaining > 120 ? 30000 : 10000);
+      } else {
+        this.countdowns.delete(request.id);
+      }
+    };
+
+    tick();
+  }
+
+  stopCountdown(requestId) {
+    // Resolves once an edit still in flight has landed, so later status updates aren't overwritten
+    const countdown = this.countdowns.get(requestId);
+    if (!countdown) {
+      return Promise.resolve();
     }
+
+    countdown.stopped = true;
+    clearTimeout(countdown.timer);
+    this.countdowns.delete(requestId);
+    return countdown.edit || Promise.resolve();
   }
 
   async sendStatusUpdate(chatId, status) {
@@ -140,12 +341,13 @@ class BotRequestHandler {
     }
   }
 
-  async updateStatus(chatId, status) {
+  async updateStatus(state, status) {
+    const chatId = state.request.chatId;
     try {
-      if (this.statusMessageId) {
-        await this.telegramBot.editMessage(chatId, this.statusMessageId, status);
+      if (state.statusMessageId) {
+        await this.telegramBot.editMessage(chatId, state.statusMessageId, status);
       } else {
-        this.statusMessageId = await this.sendStatusUpdate(chatId, status);
+        state.statusMessageId = await this.sendStatusUpdate(chatId, status);
       }
     } catch (error) {
       this.logger.log('ERROR', `Failed to update status: ${error.message}`);
@@ -161,39 +363,218 @@ class BotRequestHandler {
     }
   }
 
-  async forwardMediaToBotAccount(message) {
+  bufferAlbumItem(state, groupedId, client, message, route) {
+    let album = state.albums.get(groupedId);
+    if (!album) {
+      album = { messages: [], timer: null };
+      album.forwarded = new Promise(resolve => {
+        album.resolve = resolve;
+      });
+      state.albums.set(groupedId, album);
+      state.pendingMediaForwards.push(album.forwarded);
+    }
+
+    album.messages.push(message);
+    clearTimeout(album.timer);
+
+    // Album items arrive back to back - forward once the group has gone quiet
+    album.timer = setTimeout(async () => {
+      state.albums.delete(groupedId);
+      this.logger.log('INFO', `Forwarding album ${groupedId} with ${album.messages.length} item(s)`);
+      await this.deliverMessages(state, client, album.messages, route);
+      album.resolve();
+    }, this.albumDelay);
+  }
+
+  deliverMessages(state, client, messages, route) {
+    if (this.deliveryMode === 'direct') {
+      // Only uploads are bound by the Bot API file size limit - relayed files are re-sent by file_id
+      const deliverable = this.skipOversizedFiles(state, messages);
+      if (deliverable.length < messages.length) {
+        this.markUndelivered(route.link);
+      }
+      messages = deliverable;
+      if (messages.length === 0) {
+        return Promise.resolve();
+      }
+      state.deliveryChain = state.deliveryChain.then(() => this.deliverDirect(state, client, messages, route));
+      return state.deliveryChain;
+    }
+    return this.forwardMediaToBotAccount(client, messages, route);
+  }
+
+  skipOversizedFiles(state, messages) {
+    // The Bot API can't send files above its limit - tell the user instead of failing silently
+    const maxSize = this.telegramBot.getMaxFileSize();
+
+    return messages.filter(message => {
+      const fileInfo = message.media ? getFileInfo(message) : null;
+      if (!fileInfo || fileInfo.size <= maxSize) {
+        return true;
+      }
+
+      state.skippedCount++;
+      this.logger.log('WARN', `Skipping ${fileInfo.fileName} (${formatFileSize(fileInfo.size)}): above the ${formatFileSize(maxSize)} Bot API limit (request ${state.request.id})`);
+      this.telegramBot.sendMessage(
+        state.request.chatId,
+        `⚠️ File too large: ${fileInfo.fileName} (${formatFileSize(fileInfo.size)}).\n` +
+        `Files above ${formatFileSize(maxSize)} can't be sent by this bot.`
+      ).catch(error => {
+        this.logger.log('ERROR', `Failed to send file size notice: ${error.message}`);
+      });
+      return false;
+    });
+  }
+
+  async deliverDirect(state, client, messages, route) {
+    // Download with the user account and upload through the Bot API - no forward hop
+    const request = state.request;
+    messages = [...messages].sort((a, b) => a.id - b.id);
+    const downloads = [];
+
+    try {
+      const items = [];
+      for (const message of messages) {
+        const media = toBotApiDescriptor(message);
+        if (!media) {
+          this.markUndelivered(route.link);
+          continue;
+        }
+        if (media.fileInfo) {
+          const filePath = await this.downloadMedia(state, client, message, media);
+          downloads.push(filePath);
+          media.file = fs.createReadStream(filePath);
+        }
+        items.push(media);
+      }
+
+      if (items.length === 0) {
+        return;
+      }
+
+      const media = items.length > 1 ? { type: 'album', items } : items[0];
+      const description = items.length > 1 ? `album of ${items.length} item(s)` : describeMediaType(media.type);
+      if (items.some(item => item.file)) {
+        const totalSize = items.reduce((sum, item) => sum + (item.fileInfo ? item.fileInfo.size : 0), 0);
+        await this.updateStatus(state, `⬆️ Uploading ${description} (${formatFileSize(totalSize)})...`);
+      }
+
+      const options = this.deliveryOptions ? this.deliveryOptions.getSendOptions(request.chatId) : {};
+      const sent = await this.telegramBot.uploadMedia(request.chatId, media, options);
+      this.logger.log('INFO', `📤 Delivered ${description} directly to user ${request.userId} (request ${request.id})`);
+
+      this.emit('mediaDelivered', {
+        request,
+        messageIds: sent.messageIds,
+        link: route.link,
+        media: sent.media
+      });
+    } catch (error) {
+      this.markUndelivered(route.link);
+      this.logger.log('ERROR', `Failed to deliver media directly: ${error.message}`);
+    } finally {
+      for (const filePath of downloads) {
+        fs.promises.rm(filePath, { force: true }).catch(error => {
+          this.logger.log('WARN', `Failed to remove downloaded file ${filePath}: ${error.message}`);
+        });
+      }
+    }
+  }
+
+  markUndelivered(link) {
+    // Part of the link's result didn't reach the user, so it mustn't be cached
+    if (this.resultCache) {
+      this.resultCache.fail(link);
+    }
+  }
+
+  async downloadMedia(state, client, message, media) {
+    const size = media.fileInfo.size;
+    const label = `${describeMediaType(media.type)} (${formatFileSize(size)})`;
+    const filePath = path.join(this.downloadDir, crypto.randomUUID());
+    let lastUpdate = 0;
+
+    this.logger.log('INFO', `⬇️ Downloading ${label}`);
+    await this.updateStatus(state, `⬇️ Downloading ${label}...`);
+
+    try {
+      await client.downloadMedia(message, {
+        outputFile: filePath,
+        progressCallback: (downloaded, total) => {
+          // Throttle status edits to stay clear of Bot API limits
+          if (Date.now() - lastUpdate < 3000) {
+            return;
+          }
+          lastUpdate = Date.now();
+          // A download that keeps making progress mustn't run into the request timeout
+          this.emit('downloadProgress', { requestId: state.request.id });
+          const percent = Math.floor(Number(downloaded) / (Number(total) || size || 1) * 100);
+          this.updateStatus(state, `⬇️ Downloading ${label}: ${Math.min(percent, 100)}%`);
+        }
+      });
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+
+    return filePath;
+  }
+
+  async forwardMediaToBotAccount(client, messages, route) {
+    // Forwarding an album's messages in one call keeps them grouped for the bot account
+    messages = [...messages].sort((a, b) => a.id - b.id);
+    const message = messages[0];
+    const targetBotId = message.senderId || message.peerId?.userId;
+    const relays = [];
+
     try {
       // Get bot account info
       const botAccount = await this.telegramBot.getBotInfo();
       
       if (!botAccount || !botAccount.username) {
+        this.markUndelivered(route.link);
         this.logger.log('ERROR', 'Failed to get bot account info or bot has no username');
         return;
       }
 
       // Resolve bot username to get proper entity
       const { Api } = require('telegram');
-      const botEntity = await this.client.invoke(
+      const botEntity = await client.invoke(
         new Api.contacts.ResolveUsername({
           username: botAccount.username
         })
       );
 
       if (!botEntity.users || botEntity.users.length === 0) {
+        this.markUndelivered(route.link);
         this.logger.log('ERROR', 'Failed to resolve bot entity');
         return;
       }
 
-      // Forward message but drop caption
-      await this.client.forwardMessages(botEntity.users[0], {
-        messages: [message.id],
+      // Register the routes before forwarding - the bot may see the forward before this call returns.
+      // A message that is itself a forward keeps its original sender and date when forwarded again
+      for (const item of messages) {
+        const forwardDate = item.fwdFrom ? item.fwdFrom.date : item.date;
+        // null when the original sender is a channel or hidden - the bot account sees no user then
+        const senderId = item.fwdFrom ? item.fwdFrom.fromId?.userId?.toString() || null : targetBotId.toString();
+        relays.push(this.requestTracker.registerRelay(route.relayAccountId, forwardDate, senderId, route));
+      }
+
+      // This hop has to stay a real forward - the bot account matches it to the request by the
+      // relaying account and the forward date. Users never see it: the bot account re-sends the file as a copy
+      await client.forwardMessages(botEntity.users[0], {
+        messages: messages.map(item => item.id),
         fromPeer: message.peerId,
         dropCaption: true
       });
       
-      const mediaType = message.photo ? 'photo' : message.video ? 'video' : 'document';
-      this.logger.log('INFO', `📤 Forwarded ${mediaType} to bot account @${botAccount.username} without caption`);
+      const description = messages.length > 1 ? `album of ${messages.length} item(s)` : getMediaType(message) || 'text';
+      this.logger.log('INFO', `📤 Forwarded ${description} to bot account @${botAccount.username} without caption (request ${route.requestId})`);
     } catch (error) {
+      for (const relay of relays) {
+        this.requestTracker.cancelRelay(route.relayAccountId, relay);
+      }
+      this.markUndelivered(route.link);
       this.logger.log('ERROR', `Failed to forward media to bot account: ${error.message}`);
     }
   }
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/JsonStore');
+
+class ChannelLedger {
+  constructor(filePath, logger) {
+    this.store = new JsonStore(filePath, logger);
+    this.logger = logger;
+    // Every channel joined on behalf of a request:
+    // { id, account, channelId, accessHash, type, title, username, url,
+    //   requestId, interactionId, botUsername, link, joinedAt, deliveredAt }
+    this.entries = this.store.load({ entries: [] }).entries || [];
+  }
+
+  record(account, channel, url, context = {}) {
+    const existing = this.entries.find(entry => entry.account === account && entry.channelId === channel.id);
+    const link = context.link || {};
+    const details = {
+      url,
+      requestId: context.requestId || null,
+      interactionId: context.interactionId || null,
+      botUsername: link.botUsername || null,
+      link: link.originalUrl || null,
+      joinedAt: Date.now(),
+      deliveredAt: null
+    };
+
+    if (existing) {
+      // Joined again for a newer link - restart its leave clock
+      Object.assign(existing, details);
+    } else {
+      this.entries.push({
+        id: crypto.randomUUID(),
+        account,
+        channelId: channel.id,
+        accessHash: channel.accessHash,
+        type: channel.type,
+        title: channel.title,
+        username: channel.username,
+        ...details
+      });
+    }
+
+    this.flush();
+    this.logger.log('INFO', `Ledger: ${account} joined ${channel.title || channel.id} for ${details.botUsername || 'unknown bot'}`);
+  }
+
+  touch(account, channelId, context = {}) {
+    // An already-joined channel is needed again; keep it from being left underneath the new link.
+    // Matched by channel ID - the same channel is often linked by different URLs
+    const entry = this.entries.find(item => item.account === account && item.channelId === channelId);
+    if (!entry) {
+      return;
+    }
+
+    entry.requestId = context.requestId || entry.requestId;
+    entry.interactionId = context.interactionId || entry.interactionId;
+    entry.joinedAt = Date.now();
+    entry.deliveredAt = null;
+    this.flush();
+  }
+
+  markDelivered(interactionId) {
+    let updated = 0;
+    for (const entry of this.entries) {
+      if (entry.interactionId === interactionId && !entry.deliveredAt) {
+        entry.deliveredAt = Date.now();
+        updated++;
+      }
+    }
+
+    if (updated > 0) {
+      this.flush();
+    }
+  }
+
+  getDue(policy, leaveAfterSeconds) {
+    // 'after': leave once leaveAfter has passed since joining
+    // 'delivered': leave once the target bot delivered, or after leaveAfter if it never did
+    if (policy === 'never') {
+      return [];
+    }
+
+    const now = Date.now();
+    const maxAge = leaveAfterSeconds * 1000;
+    return this.entries.filter(entry => {
+      if (now - entry.joinedAt >= maxAge) {
+        return true;
+      }
+      return policy === 'delivered' && !!entry.deliveredAt;
+    });
+  }
+
+  getChannelIds(requestIds) {
+    // Channels joined for the given requests
+    return new Set(this.entries.filter(entry => requestIds.has(entry.requestId)).map(entry => entry.channelId));
+  }
+
+  getOldest(account, count) {
+    return this.entries
+      .filter(entry => entry.account === account)
+      .sort((a, b) => a.joinedAt - b.joinedAt)
+      .slice(0, count);
+  }
+
+  remove(entryId) {
+    const index = this.entries.findIndex(entry => entry.id === entryId);
+    if (index !== -1) {
+      this.entries.splice(index, 1);
+      this.flush();
+    }
+  }
+
+  getSize(account = null) {
+    return account ? this.entries.filter(entry => entry.account === account).length : this.entries.length;
+  }
+
+  flush() {
+    this.store.save({ entries: this.entries });
+  }
+}
+
+module.exports = ChannelLedger;
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/JsonStore');
+const { formatWaitTime } = require('../utils/TimeFormatter');
+
+const MAX_DELAY = 172800; // Bots can only delete their messages for 48 hours
+
+class DeletionScheduler {
+  constructor(filePath, telegramBot, logger) {
+    this.store = new JsonStore(filePath, logger);
+    this.telegramBot = telegramBot;
+    this.logger = logger;
+    const data = this.store.load({ pending: {}, jobs: [] });
+    // requestId -> { chatId, userId, messageIds } for media of requests that haven't finished yet
+    this.pending = data.pending || {};
+    // Scheduled deletions: { id, requestId, chatId, messageIds, warningMessageId, deleteAt, attempts, deleted, refused }
+    this.jobs = data.jobs || [];
+    this.timers = new Map(); // jobId -> countdown/deletion timer
+    this.maxAttempts = 3;
+    this.retryDelay = 60000;
+  }
+
+  track(request, messageId) {
+    // request: { id, chatId, userId } the media was sent for
+    const job = this.jobs.find(item => item.requestId === request.id);
+    if (job) {
+      // Arrived after the request finished - goes with the deletion already scheduled for it
+      job.messageIds.push(messageId);
+      this.flush();
+      return;
+    }
+
+    const entry = this.pending[request.id] || { chatId: request.chatId, userId: request.userId, messageIds: [] };
+    entry.messageIds.push(messageId);
+    this.pending[request.id] = entry;
+    this.flush();
+  }
+
+  async schedule(request, delaySeconds) {
+    const entry = this.pending[request.id];
+    if (!entry) {
+      return;
+    }
+
+    delete this.pending[request.id];
+    const { chatId, messageIds } = entry;
+
+    if (delaySeconds <= 0) {
+      // Auto-deletion is off for this chat - the media stays
+      this.flush();
+      return;
+    }
+
+    // Never later than Telegram still lets the bot delete the media
+    const delay = Math.min(delaySeconds, MAX_DELAY);
+    const job = {
+      id: crypto.randomUUID(),
+      requestId: request.id,
+      chatId,
+      messageIds,
+      warningMessageId: null,
+      deleteAt: Date.now() + delay * 1000,
+      attempts: 0,
+      deleted: 0,
+      refused: 0
+    };
+    this.jobs.push(job);
+    this.flush();
+
+    try {
+      job.warningMessageId = await this.telegramBot.sendMessage(chatId, this.getWarningText(job));
+      this.flush();
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to send deletion warning to chat ${chatId}: ${error.message}`);
+    }
+
+    this.logger.log('INFO', `Scheduled deletion of ${messageIds.length} message(s) in chat ${chatId} in ${formatWaitTime(delay)}`);
+    this.arm(job);
+  }
+
+  restore() {
+    // Re-arm deletions that were scheduled before the last restart; overdue ones run right away
+    for (const job of this.jobs) {
+      this.arm(job);
+    }
+    return this.jobs.length;
+  }
+
+  arm(job) {
+    clearTimeout(this.timers.get(job.id));
+
+    const remaining = job.deleteAt - Date.now();
+    if (remaining <= 0) {
+      this.timers.delete(job.id);
+      this.run(job);
+      return;
+    }
+
+    // Edit the countdown less often while the deletion is far away to stay clear of Bot API limits
+    const interval = remaining > 3600000 ? 600000 : remaining > 120000 ? 60000 : 10000;
+    this.timers.set(job.id, setTimeout(async () => {
+      if (job.deleteAt - Date.now() > 0 && job.warningMessageId) {
+        await this.telegramBot.editMessage(job.chatId, job.warningMessageId, this.getWarningText(job));
+      }
+      this.arm(job);
+    }, Math.min(remaining, interval)));
+  }
+
+  async run(job) {
+    const remaining = [];
+
+    for (const messageId of job.messageIds) {
+      try {
+        if (await this.telegramBot.deleteMessage(job.chatId, messageId)) {
+          job.deleted++;
+        } else {
+          job.refused++;
+        }
+      } catch (error) {
+        remaining.push(messageId);
+      }
+    }
+
+    if (remaining.length > 0 && job.attempts + 1 < this.maxAttempts) {
+      // Try the failed ones again a bit later
+      job.messageIds = remaining;
+      job.attempts++;
+      job.deleteAt = Date.now() + this.retryDelay;
+      this.flush();
+      this.logger.log('WARN', `Retrying deletion of ${remaining.length} message(s) in chat ${job.chatId} (attempt ${job.attempts + 1}/${this.maxAttempts})`);
+      this.arm(job);
+      return;
+    }
+
+    const refused = job.refused + remaining.length;
+    this.removeJob(job);
+
+    if (job.warningMessageId) {
+      try {
+        await this.telegramBot.deleteMessage(job.chatId, job.warningMessageId);
+      } catch (error) {
+        this.logger.log('WARN', `Failed to delete deletion warning in chat ${job.chatId}: ${error.message}`);
+      }
+    }
+
+    if (refused > 0) {
+      // Bots can only delete messages for a limited time; let the user know instead of retrying forever
+      this.logger.log('WARN', `Could not delete ${refused} message(s) in chat ${job.chatId}`);
+      try {
+        await this.telegramBot.sendMessage(
+          job.chatId,
+          `⚠️ ${refused} message(s) could not be deleted automatically. Please delete them yourself.`
+        );
+      } catch (error) {
+        this.logger.log('ERROR', `Failed to send deletion notice to chat ${job.chatId}: ${error.message}`);
+      }
+    }
+
+    this.logger.log('INFO', `Deleted ${job.deleted} media message(s) from chat ${job.chatId}`);
+  }
+
+  removeJob(job) {
+    clearTimeout(this.timers.get(job.id));
+    this.timers.delete(job.id);
+    this.jobs = this.jobs.filter(item => item.id !== job.id);
+    this.flush();
+  }
+
+  getWarningText(job) {
+    const seconds = Math.max(0, Math.ceil((job.deleteAt - Date.now()) / 1000));
+    return `⚠️ Media will be automatically deleted in ${formatWaitTime(seconds)}.`;
+  }
+
+  getPendingRequests() {
+    // { id, chatId, userId } of every request with media waiting to be scheduled
+    return Object.entries(this.pending).map(([id, entry]) => ({ id, chatId: entry.chatId, userId: entry.userId }));
+  }
+
+  flush() {
+    this.store.save({ pending: this.pending, jobs: this.jobs });
+  }
+}
+
+module.exports = DeletionScheduler;
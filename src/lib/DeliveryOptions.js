@@ -0,0 +1,39 @@
+class DeliveryOptions {
+  constructor(config, settingsStore) {
+    this.config = config;
+    this.settingsStore = settingsStore;
+  }
+
+  resolve(chatId) {
+    // Per-chat overrides (set by admins with /settings) win over the deployment defaults
+    return {
+      protectContent: this.settingsStore.resolve('protectContent', chatId, null, this.config.protectContent),
+      spoiler: this.settingsStore.resolve('spoiler', chatId, null, this.config.spoilerMedia),
+      silent: this.settingsStore.resolve('silent', chatId, null, this.config.silentDelivery)
+    };
+  }
+
+  getSendOptions(chatId) {
+    // Bot API options for media sent to the chat
+    const { protectContent, spoiler, silent } = this.resolve(chatId);
+    const options = {};
+    if (protectContent) {
+      options.protect_content = true;
+    }
+    if (spoiler) {
+      options.has_spoiler = true;
+    }
+    if (silent) {
+      options.disable_notification = true;
+    }
+    return options;
+  }
+
+  getForwardOptions(chatId) {
+    // gramjs forwardMessages options; media is copied so no "Forwarded from" header reveals its source
+    const { protectContent, silent } = this.resolve(chatId);
+    return { dropAuthor: true, noforwards: protectContent, silent };
+  }
+}
+
+module.exports = DeliveryOptions;
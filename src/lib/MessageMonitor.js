@@ -2,11 +2,13 @@ const { NewMessage } = require('telegram/events');
 const EventEmitter = require('events');
 
 class MessageMonitor extends EventEmitter {
-  constructor(linkParser, logger) {
+  constructor(linkParser, logger, allowedChats = []) {
     super();
     this.linkParser = linkParser;
     this.logger = logger;
     this.isRunning = false;
+    // Chat IDs and usernames to watch, normalized for comparison
+    this.allowedChats = new Set(allowedChats.map(chat => this.normalizeChatKey(chat)));
   }
 
   async start(client) {
@@ -18,38 +20,75 @@ class MessageMonitor extends EventEmitter {
     this.isRunning = true;
 
     // Register event handler for new messages
-    this.client.addEventHandler(
-      async (event) => await this.handleNewMessage(event),
-      new NewMessage({})
-    );
+    this.eventHandler = async (event) => await this.handleNewMessage(event);
+    this.client.addEventHandler(this.eventHandler, new NewMessage({}));
 
-    this.logger.log('INFO', 'Message monitoring started');
+    this.logger.log('INFO', `Message monitoring started for ${this.allowedChats.size} chat(s)`);
+  }
+
+  normalizeChatKey(chat) {
+    return chat.toString().trim().replace(/^@/, '').toLowerCase();
+  }
+
+  async isAllowedChat(message) {
+    const chatId = message.chatId?.toString();
+    if (chatId && this.allowedChats.has(chatId)) {
+      return true;
+    }
+
+    // Fall back to the chat username for public chats listed by name
+    try {
+      const chat = await message.getChat();
+      if (chat && chat.username && this.allowedChats.has(this.normalizeChatKey(chat.username))) {
+        return true;
+      }
+    } catch (error) {
+      this.logger.log('WARN', `Could not resolve chat ${chatId}: ${error.message}`);
+    }
+
+    return false;
   }
 
   async handleNewMessage(event) {
     try {
       const message = event.message;
       
-      // Skip if no text content
-      if (!message.text) {
+      // Skip if there's neither text nor a keyboard that could hold a link
+      if (!message.text && !message.replyMarkup) {
+        return;
+      }
+
+      // Only react to chats on the allowlist
+      if (!(await this.isAllowedChat(message))) {
         return;
       }
 
       const senderId = message.senderId?.toString() || 'unknown';
-      const messageText = message.text;
+      const messageText = message.text || '';
       const entities = message.entities || [];
       const preview = messageText.substring(0, 50) + (messageText.length > 50 ? '...' : '');
 
       // Log received message
       this.logger.log('INFO', `Message received from user:${senderId} - "${preview}"`);
 
-      // Extract bot links from both text and entities
-      const uniqueBotLinks = this.linkParser.extractBotLinks(messageText, entities);
+      // Extract bot links from text, entities and inline keyboard URL buttons
+      const uniqueBotLinks = this.linkParser.extractBotLinks(messageText, entities, message.replyMarkup);
 
       // Emit event for each detected bot link
       for (const link of uniqueBotLinks) {
-        this.logger.log('INFO', `Bot link detected: ${link.botUsername} (start=${link.startParameter})`);
-        this.emit('botLinkDetected', { link, senderId });
+        if (link.linkType !== 'start') {
+          // Mini App and group links can't be followed by sending /start
+          this.logger.log('INFO', `Ignoring unsupported ${link.linkType} link for ${link.botUsername}`);
+          continue;
+        }
+
+        this.logger.log('INFO', `Bot link detected: ${link.botUsername} (${link.linkType}=${link.startParameter})`);
+        this.emit('botLinkDetected', {
+          link,
+          senderId,
+          sender: message.senderId,
+          chatId: message.chatId?.toString()
+        });
       }
     } catch (error) {
       this.logger.log('ERROR', `Error processing message: ${error.message}`);
@@ -57,42 +96,11 @@ class MessageMonitor extends EventEmitter {
     }
   }
 
-  extractUrlsFromEntities(message) {
-    const urls = [];
-    
-    if (!message.entities || message.entities.length === 0) {
-      return urls;
-    }
-
-    for (const entity of message.entities) {
-      // Check for text links (MessageEntityTextUrl)
-      if (entity.className === 'MessageEntityTextUrl' && entity.url) {
-        urls.push(entity.url);
-      }
-      
-      // Check for regular URLs (MessageEntityUrl)
-      if (entity.className === 'MessageEntityUrl') {
-        const url = message.text.substring(entity.offset, entity.offset + entity.length);
-        urls.push(url);
-      }
-    }
-
-    return urls;
-  }
-
-  deduplicateLinks(links) {
-    const seen = new Set();
-    return links.filter(link => {
-      const key = `${link.botUsername}:${link.startParameter}`;
-      if (seen.has(key)) {
-        return false;
-      }
-      seen.add(key);
-      return true;
-    });
-  }
-
   stop() {
+    if (this.client && this.eventHandler) {
+      this.client.removeEventHandler(this.eventHandler, new NewMessage({}));
+      this.eventHandler = null;
+    }
     this.isRunning = false;
     this.logger.log('INFO', 'Message monitoring stopped');
   }
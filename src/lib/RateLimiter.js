@@ -0,0 +1,107 @@
+const JsonStore = require('../utils/JsonStore');
+
+const HOUR = 3600000;
+const DAY = 86400000;
+
+class RateLimiter {
+  constructor(filePath, logger, limits, settingsStore = null) {
+    this.store = new JsonStore(filePath, logger);
+    this.logger = logger;
+    // Defaults for every user, 0 means unlimited: { linksPerMessage, requestsPerHour, joinsPerDay, queuedRequests }
+    this.limits = limits;
+    this.settingsStore = settingsStore; // Per-user overrides set by admins with /limit
+    const data = this.store.load({ requests: {}, joins: {} });
+    // userId -> timestamps of accepted requests / channel joins, pruned once outside their window
+    this.requests = data.requests || {};
+    this.joins = data.joins || {};
+  }
+
+  getLimits(userId) {
+    const limits = {};
+    for (const key of Object.keys(this.limits)) {
+      const override = this.settingsStore ? this.settingsStore.get('user', userId, key) : undefined;
+      limits[key] = override !== undefined ? override : this.limits[key];
+    }
+    return limits;
+  }
+
+  checkLinks(userId, linkCount) {
+    // Checked against every link in the message, including those later served from cache
+    const limits = this.getLimits(userId);
+    if (limits.linksPerMessage > 0 && linkCount > limits.linksPerMessage) {
+      return { limit: 'linksPerMessage', max: limits.linksPerMessage, retryIn: 0 };
+    }
+    return null;
+  }
+
+  check(userId, queuedCount) {
+    // Returns null if the request may be queued, otherwise { limit, max, retryIn } (retryIn in seconds)
+    const limits = this.getLimits(userId);
+    const now = Date.now();
+
+    if (limits.queuedRequests > 0 && queuedCount >= limits.queuedRequests) {
+      return { limit: 'queuedRequests', max: limits.queuedRequests, retryIn: 0 };
+    }
+
+    const requests = this.getRecent(this.requests, userId, HOUR);
+    if (limits.requestsPerHour > 0 && requests.length >= limits.requestsPerHour) {
+      return { limit: 'requestsPerHour', max: limits.requestsPerHour, retryIn: Math.ceil((requests[0] + HOUR - now) / 1000) };
+    }
+
+    // Joins are counted as they happen, so a running request can take a user slightly over the budget
+    const joins = this.getRecent(this.joins, userId, DAY);
+    if (limits.joinsPerDay > 0 && joins.length >= limits.joinsPerDay) {
+      return { limit: 'joinsPerDay', max: limits.joinsPerDay, retryIn: Math.ceil((joins[0] + DAY - now) / 1000) };
+    }
+
+    return null;
+  }
+
+  recordRequest(userId) {
+    this.record(this.requests, userId, HOUR);
+  }
+
+  recordJoin(userId) {
+    this.record(this.joins, userId, DAY);
+  }
+
+  getUsage(userId) {
+    return {
+      limits: this.getLimits(userId),
+      requestsThisHour: this.getRecent(this.requests, userId, HOUR).length,
+      joinsToday: this.getRecent(this.joins, userId, DAY).length
+    };
+  }
+
+  record(timestamps, userId, window) {
+    const id = userId.toString();
+    timestamps[id] = [...this.getRecent(timestamps, id, window), Date.now()];
+    this.flush();
+  }
+
+  getRecent(timestamps, userId, window) {
+    const since = Date.now() - window;
+    return (timestamps[userId.toString()] || []).filter(timestamp => timestamp > since);
+  }
+
+  cleanup() {
+    // Drop timestamps that no longer count against any limit
+    for (const [timestamps, window] of [[this.requests, HOUR], [this.joins, DAY]]) {
+      for (const userId of Object.keys(timestamps)) {
+        const recent = this.getRecent(timestamps, userId, window);
+        if (recent.length > 0) {
+          timestamps[userId] = recent;
+        } else {
+          delete timestamps[userId];
+        }
+      }
+    }
+    this.flush();
+  }
+
+  flush() {
+    this.store.save({ requests: this.requests, joins: this.joins });
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,119 @@
+const fs = require('fs');
+
+// How we interact with a bot that doesn't have its own recipe
+const DEFAULT_RECIPE = {
+  name: 'default',
+  joinButtons: {
+    rows: 'allButLast', // 'allButLast' or 'all'
+    textPattern: null, // Only join URL buttons whose text matches
+    excludeTextPattern: null // Skip URL buttons whose text matches
+  },
+  confirmButton: {
+    textPattern: null, // Preferred: find the confirm button by its text
+    row: -1, // Fallback position, negative values count from the end
+    column: 0,
+    clickAll: false // Click every button matching textPattern, in order
+  },
+  gate: {
+    // Reply-keyboard button pressed (by sending its text) once channels are joined
+    replyButtonPattern: 'check|joined|done|confirm|verify|continue|✅|عضو شدم|تایید',
+    // Text instructions such as "send /check after joining"; the first capture group is sent back.
+    // The instruction has to mention joining in the same sentence so "use /help" hints aren't taken for a gate
+    commandPatterns: [
+      '(?:join|subscrib)\\w*[^.!?\\n/]*?(?:send|type|press|tap|click|use)\\s+(/[A-Za-z0-9_]+)',
+      '(?:send|type|press|tap|click|use)\\s+(/[A-Za-z0-9_]+)[^.!?\\n]*?(?:join|subscrib)\\w*'
+    ]
+  },
+  solveChallenges: true, // Answer arithmetic/emoji/"press X" anti-bot challenges before the gate
+  joinDelay: 3000, // Between channel joins
+  postJoinDelay: 5000, // After all joins, before confirming
+  approvalTimeout: 120000, // How long to wait for join requests to be approved, 0 to not wait
+  approvalPollInterval: 10000,
+  responseTimeout: 30000, // Waiting for the bot's first reply
+  mediaIdleTimeout: 10000, // Media collection ends after this long without messages
+  relayText: true, // Deliver text messages (links, codes, passwords) along with media
+  boilerplatePatterns: [
+    // Text messages matching any of these aren't content and are dropped
+    '\\b(join|subscribe)\\b.*\\b(channels?|groups?)\\b',
+    '\\b(must|need to|have to)\\s+(join|subscribe)',
+    'not (a )?member|haven.?t joined|عضو',
+    '^(please wait|processing|loading|sending|searching)',
+    '^(welcome|hello|hi)\\b'
+  ],
+  success: {
+    minMedia: 0, // Fewer files than this counts as a failure
+    textPattern: null // A bot message must match this for the interaction to count as a success
+  }
+};
+
+class RecipeRegistry {
+  constructor(logger) {
+    this.logger = logger;
+    this.recipes = [];
+  }
+
+  load(filePath) {
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const recipes = Array.isArray(data) ? data : data.recipes;
+
+      if (!Array.isArray(recipes)) {
+        throw new Error('expected an array of recipes or { "recipes": [...] }');
+      }
+
+      this.recipes = recipes.map((recipe, index) => this.compile(recipe, index));
+      this.logger.log('INFO', `Loaded ${this.recipes.length} bot recipe(s) from ${filePath}`);
+    } catch (error) {
+      // A broken recipe file should stop startup rather than silently fall back
+      throw new Error(`Failed to load recipes from ${filePath}: ${error.message}`);
+    }
+  }
+
+  compile(recipe, index) {
+    if (!recipe.match && !recipe.pattern) {
+      throw new Error(`recipe #${index + 1} needs "match" (bot username) or "pattern" (regex)`);
+    }
+
+    const merged = {
+      ...DEFAULT_RECIPE,
+      ...recipe,
+      name: recipe.name || recipe.match || recipe.pattern,
+      joinButtons: { ...DEFAULT_RECIPE.joinButtons, ...recipe.joinButtons },
+      confirmButton: { ...DEFAULT_RECIPE.confirmButton, ...recipe.confirmButton },
+      gate: { ...DEFAULT_RECIPE.gate, ...recipe.gate },
+      success: { ...DEFAULT_RECIPE.success, ...recipe.success }
+    };
+
+    // Validate regexes up front so mistakes surface at startup
+    merged.matcher = recipe.pattern ? new RegExp(recipe.pattern, 'i') : null;
+    for (const pattern of [
+      merged.joinButtons.textPattern,
+      merged.joinButtons.excludeTextPattern,
+      merged.confirmButton.textPattern,
+      merged.gate.replyButtonPattern,
+      ...merged.gate.commandPatterns,
+      ...merged.boilerplatePatterns,
+      merged.success.textPattern
+    ]) {
+      if (pattern) {
+        new RegExp(pattern, 'i');
+      }
+    }
+
+    return merged;
+  }
+
+  resolve(botUsername) {
+    const username = botUsername.replace(/^@/, '').toLowerCase();
+
+    // Exact username matches win over patterns
+    const recipe = this.recipes.find(item => item.match && item.match.replace(/^@/, '').toLowerCase() === username) ||
+      this.recipes.find(item => item.matcher && item.matcher.test(botUsername));
+
+    return recipe || DEFAULT_RECIPE;
+  }
+}
+
+RecipeRegistry.DEFAULT_RECIPE = DEFAULT_RECIPE;
+
+module.exports = RecipeRegistry;
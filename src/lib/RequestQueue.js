@@ -1,12 +1,69 @@
 const EventEmitter = require('events');
+const crypto = require('crypto');
 
 class RequestQueue extends EventEmitter {
-  constructor(maxSize, logger) {
+  constructor(maxSize, logger, store = null, options = {}) {
     super();
     this.queue = [];
     this.maxSize = maxSize;
     this.logger = logger;
-    this.processing = false;
+    this.store = store;
+    this.maxInterruptions = options.maxInterruptions ?? 1; // Restarts a request may survive while in flight
+    this.concurrency = Math.max(1, options.concurrency || 1); // Worker pool size
+    this.active = new Map(); // requestId -> request currently being processed
+    this.busyBots = new Set(); // Target bot usernames (lowercase) held by an active request
+    this.parked = new Map(); // requestId -> { request, timer } waiting out a flood wait
+    this.paused = false; // While paused, requests are accepted but not started
+    this.timeoutResets = new Map(); // requestId -> restarts the request's timeout (see keepAlive)
+  }
+
+  restore() {
+    // Reload requests that were pending when the process stopped
+    const resumed = [];
+    const failed = [];
+    const parked = [];
+
+    if (!this.store) {
+      return { resumed, failed, parked };
+    }
+
+    for (const request of this.store.getPending()) {
+      if (request.status === 'parked') {
+        // Still waiting out a flood wait - re-arm its resume timer
+        this.scheduleResume(request);
+        parked.push(request);
+        continue;
+      }
+
+      if (request.status === 'processing') {
+        request.interruptions = (request.interruptions || 0) + 1;
+
+        if (request.interruptions > this.maxInterruptions) {
+          request.status = 'failed';
+          this.persist(request);
+          this.logger.log('WARN', `Request ${request.id} from user ${request.userId} was interrupted ${request.interruptions} times, giving up`);
+          failed.push(request);
+          continue;
+        }
+      }
+
+      request.status = 'queued';
+      this.queue.push(request);
+      this.persist(request);
+      resumed.push(request);
+    }
+
+    this.logger.log('INFO', `Restored ${resumed.length} pending request(s) from disk, ${parked.length} parked, ${failed.length} failed`);
+
+    this.processNext();
+
+    return { resumed, failed, parked };
+  }
+
+  persist(request) {
+    if (this.store) {
+      this.store.save(request);
+    }
   }
 
   addRequest(request) {
@@ -16,68 +73,154 @@ class RequestQueue extends EventEmitter {
       return false;
     }
 
+    request.id = request.id || crypto.randomUUID();
     request.status = 'queued';
     this.queue.push(request);
+    this.persist(request);
     
     this.logger.log('INFO', `Request added to queue from user ${request.userId}, position: ${this.queue.length}`);
     this.emit('requestAdded', request, this.queue.length);
 
-    // Start processing if not already processing
-    if (!this.processing) {
-      this.processNext();
-    }
+    // Start processing if a worker is free
+    this.processNext();
 
     return true;
   }
 
-  async processNext() {
-    if (this.processing || this.queue.length === 0) {
+  processNext() {
+    if (this.paused) {
       return;
     }
 
-    this.processing = true;
-    const request = this.queue.shift();
+    // Fill free worker slots with the oldest requests whose target bots are idle
+    while (this.active.size < this.concurrency) {
+      const index = this.queue.findIndex(req => this.getTargetBots(req).every(bot => !this.busyBots.has(bot)));
+      if (index === -1) {
+        return;
+      }
+
+      const [request] = this.queue.splice(index, 1);
+      this.runRequest(request);
+    }
+  }
+
+  async acquireBot(botUsername) {
+    // Interactions outside the queue (client mode) take the same per-bot lock as queued requests.
+    // Resolves with a function that releases the bot again
+    const bot = botUsername.toLowerCase();
+    while (this.busyBots.has(bot)) {
+      await new Promise(resolve => this.once('botsReleased', resolve));
+    }
+
+    this.busyBots.add(bot);
+    return () => {
+      this.busyBots.delete(bot);
+      this.emit('botsReleased');
+      this.processNext();
+    };
+  }
+
+  keepAlive(requestId) {
+    // Work that keeps making progress (large downloads) restarts the request's timeout
+    const armTimeout = this.timeoutResets.get(requestId);
+    if (armTimeout) {
+      armTimeout();
+    }
+  }
+
+  getTargetBots(request) {
+    // Requests to the same target bot must stay serialized, since replies are mapped by bot
+    return [...new Set(request.botLinks.map(link => link.botUsername.toLowerCase()))];
+  }
+
+  async runRequest(request) {
+    const targetBots = this.getTargetBots(request);
+    targetBots.forEach(bot => this.busyBots.add(bot));
+    this.active.set(request.id, request);
+
     request.status = 'processing';
+    this.persist(request);
 
-    this.logger.log('INFO', `Processing request from user ${request.userId}`);
+    this.logger.log('INFO', `Processing request ${request.id} from user ${request.userId} (${this.active.size}/${this.concurrency} workers busy)`);
     this.emit('requestStarted', request);
 
     try {
       // The actual processing is handled by listeners of 'requestStarted'
-      // We just wait for completion or failure
-      await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error('Request timeout'));
-        }, request.timeout || 300000);
-
-        const onComplete = () => {
+      // We just wait for completion or failure of this particular request
+      const outcome = await new Promise((resolve, reject) => {
+        let timeout = null;
+        const armTimeout = () => {
           clearTimeout(timeout);
-          this.removeListener('processingComplete', onComplete);
-          this.removeListener('processingFailed', onFailed);
+          timeout = setTimeout(() => {
+            // The handler is still talking to the target bots, so flag the request and keep its
+            // bots locked until the handler stops at its next checkpoint and reports back
+            this.logger.log('WARN', `Request ${request.id} timed out, waiting for its handler to stop`);
+            request.timedOut = true;
+          }, request.timeout || 300000);
+        };
+        armTimeout();
+        this.timeoutResets.set(request.id, armTimeout);
+
+        const onComplete = (requestId) => {
+          if (requestId !== request.id) {
+            return;
+          }
+          cleanup();
           resolve();
         };
 
-        const onFailed = (error) => {
+        const onParked = (requestId) => {
+          if (requestId !== request.id) {
+            return;
+          }
+          cleanup();
+          resolve('parked');
+        };
+
+        const onFailed = (requestId, error) => {
+          if (requestId !== request.id) {
+            return;
+          }
+          cleanup();
+          reject(error);
+        };
+
+        const cleanup = () => {
           clearTimeout(timeout);
+          this.timeoutResets.delete(request.id);
           this.removeListener('processingComplete', onComplete);
+          this.removeListener('processingParked', onParked);
           this.removeListener('processingFailed', onFailed);
-          reject(error);
         };
 
-        this.once('processingComplete', onComplete);
-        this.once('processingFailed', onFailed);
+        this.on('processingComplete', onComplete);
+        this.on('processingParked', onParked);
+        this.on('processingFailed', onFailed);
       });
 
+      if (outcome === 'parked') {
+        request.status = 'parked';
+        this.persist(request);
+        this.logger.log('INFO', `Request ${request.id} parked until ${new Date(request.resumeAt).toISOString()}`);
+        this.scheduleResume(request);
+        this.emit('requestParked', request);
+        return;
+      }
+
       request.status = 'completed';
+      this.persist(request);
       this.logger.log('INFO', `Request completed for user ${request.userId}`);
       this.emit('requestCompleted', request);
 
     } catch (error) {
       request.status = 'failed';
+      this.persist(request);
       this.logger.log('ERROR', `Request failed for user ${request.userId}: ${error.message}`);
       this.emit('requestFailed', request, error);
     } finally {
-      this.processing = false;
+      this.active.delete(request.id);
+      targetBots.forEach(bot => this.busyBots.delete(bot));
+      this.emit('botsReleased');
       
       // Process next request in queue
       if (this.queue.length > 0) {
@@ -86,25 +229,102 @@ class RequestQueue extends EventEmitter {
     }
   }
 
+  scheduleResume(request) {
+    const delay = Math.max(0, (request.resumeAt || 0) - Date.now());
+    const timer = setTimeout(() => this.resumeParked(request.id), delay);
+    this.parked.set(request.id, { request, timer });
+  }
+
+  resumeParked(requestId) {
+    const entry = this.parked.get(requestId);
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    this.parked.delete(requestId);
+
+    // Resumed requests go to the front - they've already waited their turn
+    const request = entry.request;
+    request.status = 'queued';
+    this.queue.unshift(request);
+    this.persist(request);
+
+    this.logger.log('INFO', `Resuming parked request ${request.id} from user ${request.userId}`);
+    this.emit('requestResumed', request);
+    this.processNext();
+  }
+
+  pause() {
+    this.paused = true;
+    this.logger.log('INFO', `Queue paused with ${this.queue.length} request(s) waiting`);
+  }
+
+  resume() {
+    this.paused = false;
+    this.logger.log('INFO', `Queue resumed with ${this.queue.length} request(s) waiting`);
+    this.processNext();
+  }
+
+  clear() {
+    // Drops waiting and parked requests; running ones finish normally
+    const cleared = [...this.queue, ...this.getParkedRequests()];
+    this.queue = [];
+    for (const { timer } of this.parked.values()) {
+      clearTimeout(timer);
+    }
+    this.parked.clear();
+
+    for (const request of cleared) {
+      request.status = 'cancelled';
+      this.persist(request);
+    }
+
+    this.logger.log('INFO', `Cleared ${cleared.length} request(s) from the queue`);
+    return cleared;
+  }
+
+  getQueuedRequests() {
+    return [...this.queue];
+  }
+
+  getParkedRequests() {
+    return Array.from(this.parked.values()).map(entry => entry.request);
+  }
+
   getQueuePosition(userId) {
     const index = this.queue.findIndex(req => req.userId === userId);
     return index === -1 ? -1 : index + 1;
   }
 
+  countUserRequests(userId) {
+    // Requests of the user that are waiting, running or parked
+    const requests = [...this.queue, ...this.active.values(), ...this.getParkedRequests()];
+    return requests.filter(req => req.userId.toString() === userId.toString()).length;
+  }
+
   isEmpty() {
-    return this.queue.length === 0 && !this.processing;
+    return this.queue.length === 0 && this.active.size === 0;
   }
 
   getQueueSize() {
     return this.queue.length;
   }
 
-  markProcessingComplete() {
-    this.emit('processingComplete');
+  getActiveRequests() {
+    return Array.from(this.active.values());
+  }
+
+  markProcessingComplete(request) {
+    this.emit('processingComplete', request.id);
+  }
+
+  markProcessingParked(request) {
+    this.emit('processingParked', request.id);
   }
 
-  markProcessingFailed(error) {
-    this.emit('processingFailed', error);
+  markProcessingFailed(request, error) {
+    this.emit('processingFailed', request.id, error);
   }
 }
 
@@ -0,0 +1,78 @@
+const JsonStore = require('../utils/JsonStore');
+
+class RequestStore {
+  constructor(filePath, logger, maxFinished = 100) {
+    this.store = new JsonStore(filePath, logger);
+    this.logger = logger;
+    this.maxFinished = maxFinished; // Completed/failed/cancelled requests kept on disk for reference
+    // Map: requestId -> serialized request
+    this.requests = new Map();
+
+    const data = this.store.load({ requests: [] });
+    for (const request of data.requests || []) {
+      this.requests.set(request.id, request);
+    }
+  }
+
+  save(request) {
+    this.requests.set(request.id, this.serialize(request));
+    this.prune();
+    this.flush();
+  }
+
+  remove(requestId) {
+    if (this.requests.delete(requestId)) {
+      this.flush();
+    }
+  }
+
+  getPending() {
+    // Requests that were queued, parked or in flight when the process stopped, oldest first
+    return Array.from(this.requests.values())
+      .filter(request => ['queued', 'processing', 'parked'].includes(request.status))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .map(request => this.deserialize(request));
+  }
+
+  prune() {
+    const finished = Array.from(this.requests.values())
+      .filter(request => ['completed', 'failed', 'cancelled'].includes(request.status))
+      .sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt));
+
+    while (finished.length > this.maxFinished) {
+      this.requests.delete(finished.shift().id);
+    }
+  }
+
+  flush() {
+    this.store.save({ requests: Array.from(this.requests.values()) });
+  }
+
+  serialize(request) {
+    return {
+      id: request.id,
+      chatId: request.chatId,
+      userId: request.userId,
+      username: request.username,
+      botLinks: request.botLinks,
+      bypassCache: !!request.bypassCache,
+      timestamp: request.timestamp,
+      status: request.status,
+      timeout: request.timeout,
+      interruptions: request.interruptions || 0,
+      resumeState: request.resumeState || null,
+      resumeAt: request.resumeAt || null,
+      statusMessageId: request.statusMessageId || null,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  deserialize(data) {
+    return {
+      ...data,
+      timestamp: new Date(data.timestamp)
+    };
+  }
+}
+
+module.exports = RequestStore;
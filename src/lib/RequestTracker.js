@@ -1,38 +1,107 @@
 class RequestTracker {
-  constructor(logger) {
+  constructor(logger, maxQuarantine = 50) {
     this.logger = logger;
-    // Map: targetBotId -> { endUserId, endUserChatId, timestamp }
-    this.activeRequests = new Map();
+    // Map: relayAccountId -> [{ requestId, endUserId, endUserChatId, link, forwardDate, senderId, timestamp }]
+    // One entry per message relayed through the bot account, so every forward maps to exactly one request.
+    // senderId is the forward's origin as the bot account sees it, null for channels and hidden senders
+    this.pendingRelays = new Map();
+    // Forwards that could not be tied to any request, kept for admin review
+    this.quarantined = [];
+    this.maxQuarantine = maxQuarantine;
   }
 
-  addRequest(targetBotId, endUserId, endUserChatId) {
-    this.activeRequests.set(targetBotId.toString(), {
-      endUserId,
-      endUserChatId,
+  registerRelay(relayAccountId, forwardDate, senderId, route) {
+    const key = relayAccountId.toString();
+    const relay = {
+      requestId: route.requestId,
+      endUserId: route.endUserId,
+      endUserChatId: route.endUserChatId,
+      link: route.link,
+      forwardDate,
+      senderId,
       timestamp: Date.now()
-    });
-    this.logger.log('INFO', `Tracking request: Bot ${targetBotId} -> User ${endUserId}`);
+    };
+
+    if (!this.pendingRelays.has(key)) {
+      this.pendingRelays.set(key, []);
+    }
+    this.pendingRelays.get(key).push(relay);
+
+    this.logger.log('INFO', `Tracking relay: Account ${key} (from ${senderId || 'channel'}, date ${forwardDate}) -> Request ${route.requestId} / User ${route.endUserId}`);
+    return relay;
   }
 
-  getRequest(targetBotId) {
-    return this.activeRequests.get(targetBotId.toString());
+  resolveRelay(relayAccountId, forwardDate, senderId) {
+    const key = relayAccountId.toString();
+    const relays = this.pendingRelays.get(key);
+    if (!relays) {
+      return null;
+    }
+
+    // Match on the original message date and sender; oldest registration wins for identical dates
+    const sender = senderId ? senderId.toString() : null;
+    const index = relays.findIndex(relay => relay.forwardDate === forwardDate && relay.senderId === sender);
+    if (index === -1) {
+      return null;
+    }
+
+    const [relay] = relays.splice(index, 1);
+    if (relays.length === 0) {
+      this.pendingRelays.delete(key);
+    }
+    return relay;
   }
 
-  removeRequest(targetBotId) {
-    const removed = this.activeRequests.delete(targetBotId.toString());
-    if (removed) {
-      this.logger.log('INFO', `Removed tracking for bot ${targetBotId}`);
+  cancelRelay(relayAccountId, relay) {
+    const key = relayAccountId.toString();
+    const relays = this.pendingRelays.get(key);
+    if (!relays) {
+      return false;
+    }
+
+    const index = relays.indexOf(relay);
+    if (index === -1) {
+      return false;
     }
-    return removed;
+
+    relays.splice(index, 1);
+    if (relays.length === 0) {
+      this.pendingRelays.delete(key);
+    }
+    this.logger.log('INFO', `Cancelled relay for account ${key} (request ${relay.requestId})`);
+    return true;
+  }
+
+  quarantine(senderId, message, reason) {
+    const entry = {
+      senderId: senderId ? senderId.toString() : null,
+      chatId: message.chat.id,
+      messageId: message.message_id,
+      reason,
+      timestamp: Date.now()
+    };
+
+    this.quarantined.push(entry);
+    if (this.quarantined.length > this.maxQuarantine) {
+      this.quarantined.shift();
+    }
+
+    this.logger.log('WARN', `Quarantined message ${message.message_id} from ${entry.senderId || 'a channel'}: ${reason}`);
+    return entry;
   }
 
   cleanup(maxAge = 600000) {
-    // Remove requests older than maxAge (default 10 minutes)
+    // Remove relays older than maxAge (default 10 minutes)
     const now = Date.now();
-    for (const [botId, request] of this.activeRequests.entries()) {
-      if (now - request.timestamp > maxAge) {
-        this.activeRequests.delete(botId);
-        this.logger.log('INFO', `Cleaned up old request for bot ${botId}`);
+    for (const [accountId, relays] of this.pendingRelays.entries()) {
+      const fresh = relays.filter(relay => now - relay.timestamp <= maxAge);
+      if (fresh.length !== relays.length) {
+        this.logger.log('INFO', `Cleaned up ${relays.length - fresh.length} old relay(s) for account ${accountId}`);
+      }
+      if (fresh.length === 0) {
+        this.pendingRelays.delete(accountId);
+      } else {
+        this.pendingRelays.set(accountId, fresh);
       }
     }
   }
@@ -0,0 +1,168 @@
+const JsonStore = require('../utils/JsonStore');
+
+class ResultCache {
+  constructor(filePath, ttlSeconds, logger) {
+    this.store = new JsonStore(filePath, logger);
+    this.ttl = ttlSeconds * 1000; // 0 disables the cache
+    this.logger = logger;
+
+    const data = this.store.load({ entries: {}, stats: { hits: 0, misses: 0 } });
+    // Map: "botusername:startParameter" -> { media: [], complete, createdAt, updatedAt }
+    // plus, while a link is being processed, { committed, failed, expected, delivered } message counts
+    this.entries = new Map(Object.entries(data.entries || {}));
+    this.stats = { hits: 0, misses: 0, ...data.stats };
+  }
+
+  isEnabled() {
+    return this.ttl > 0;
+  }
+
+  getKey(link) {
+    return `${link.botUsername.toLowerCase()}:${link.startParameter}`;
+  }
+
+  get(link) {
+    // Hits and misses are recorded by the caller once it knows whether the cached media could be sent
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const entry = this.entries.get(this.getKey(link));
+    if (entry && entry.complete && entry.media.length > 0 && Date.now() - entry.createdAt <= this.ttl) {
+      return entry;
+    }
+    return null;
+  }
+
+  recordHit(link) {
+    this.stats.hits++;
+    this.flush();
+    this.logger.log('INFO', `Cache hit for ${this.getKey(link)}`);
+  }
+
+  recordMiss(link) {
+    this.stats.misses++;
+    this.flush();
+    this.logger.log('INFO', `Cache miss for ${this.getKey(link)}`);
+  }
+
+  begin(link) {
+    // Start a fresh entry for a link that is about to be processed
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    const now = Date.now();
+    this.entries.set(this.getKey(link), {
+      media: [],
+      complete: false,
+      committed: false,
+      failed: false,
+      expected: 0,
+      delivered: 0,
+      createdAt: now,
+      updatedAt: now
+    });
+    this.flush();
+  }
+
+  expect(link) {
+    // One more message from the bot is on its way to the user
+    const entry = this.getOpenEntry(link);
+    if (entry) {
+      entry.expected++;
+      this.flush();
+    }
+  }
+
+  addMedia(link, media) {
+    // Media that reached the user; entries that are already complete are never changed again
+    const entry = this.getOpenEntry(link);
+    if (!entry) {
+      return;
+    }
+
+    entry.media.push(media);
+    entry.delivered += media.type === 'album' ? media.items.length : 1;
+    entry.updatedAt = Date.now();
+    this.completeIfSettled(entry);
+    this.flush();
+  }
+
+  fail(link) {
+    // Part of the result never reached the user - don't serve the rest as if it were everything
+    const entry = this.getOpenEntry(link);
+    if (entry) {
+      entry.failed = true;
+      this.flush();
+    }
+  }
+
+  commit(link) {
+    // The interaction for the link succeeded; the entry becomes servable once its deliveries are done
+    const entry = this.getOpenEntry(link);
+    if (entry) {
+      entry.committed = true;
+      entry.updatedAt = Date.now();
+      this.completeIfSettled(entry);
+      this.flush();
+    }
+  }
+
+  completeIfSettled(entry) {
+    if (entry.committed && !entry.failed && entry.delivered >= entry.expected) {
+      entry.complete = true;
+    }
+  }
+
+  getOpenEntry(link) {
+    if (!this.isEnabled() || !link) {
+      return null;
+    }
+
+    const entry = this.entries.get(this.getKey(link));
+    return entry && !entry.complete ? entry : null;
+  }
+
+  invalidate(link) {
+    const key = this.getKey(link);
+    if (this.entries.delete(key)) {
+      this.flush();
+      this.logger.log('INFO', `Invalidated cache entry for ${key}`);
+      return true;
+    }
+    return false;
+  }
+
+  cleanup() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.entries.entries()) {
+      if (now - entry.createdAt > this.ttl) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.flush();
+      this.logger.log('INFO', `Cleaned up ${removed} expired cache entr${removed === 1 ? 'y' : 'ies'}`);
+    }
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      entries: this.entries.size
+    };
+  }
+
+  flush() {
+    this.store.save({ entries: Object.fromEntries(this.entries), stats: this.stats });
+  }
+}
+
+module.exports = ResultCache;
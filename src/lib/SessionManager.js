@@ -32,8 +32,15 @@ class SessionManager {
 
   saveSession(stringSession) {
     try {
+      // The session is saved on every start; keep the time it was first created for its age
+      const existing = this.readSessionFile();
+      const createdAt = existing && existing.stringSession === stringSession
+        ? existing.createdAt || existing.lastUpdated
+        : new Date().toISOString();
+
       const sessionData = {
         stringSession: stringSession,
+        createdAt,
         lastUpdated: new Date().toISOString()
       };
 
@@ -53,6 +60,24 @@ class SessionManager {
     }
   }
 
+  getCreatedAt() {
+    // Timestamp of the login that created the session, or null if unknown
+    const sessionData = this.readSessionFile();
+    const createdAt = sessionData && (sessionData.createdAt || sessionData.lastUpdated);
+    return createdAt ? new Date(createdAt).getTime() : null;
+  }
+
+  readSessionFile() {
+    try {
+      if (!fs.existsSync(this.sessionPath)) {
+        return null;
+      }
+      return JSON.parse(fs.readFileSync(this.sessionPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
   clearSession() {
     try {
       if (fs.existsSync(this.sessionPath)) {
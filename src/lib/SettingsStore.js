@@ -0,0 +1,58 @@
+const JsonStore = require('../utils/JsonStore');
+
+class SettingsStore {
+  constructor(filePath, logger) {
+    this.store = new JsonStore(filePath, logger);
+    this.logger = logger;
+    // Overrides of the configured defaults: { chats: { chatId: { key: value } }, users: { userId: { key: value } } }
+    const data = this.store.load({ chats: {}, users: {} });
+    this.chats = data.chats || {};
+    this.users = data.users || {};
+  }
+
+  get(scope, id, key) {
+    const entry = this.getScope(scope)[id.toString()];
+    return entry && entry[key] !== undefined ? entry[key] : undefined;
+  }
+
+  set(scope, id, key, value) {
+    const settings = this.getScope(scope);
+    const entryId = id.toString();
+
+    if (value === undefined) {
+      // Clearing an override falls back to the next level
+      if (settings[entryId]) {
+        delete settings[entryId][key];
+        if (Object.keys(settings[entryId]).length === 0) {
+          delete settings[entryId];
+        }
+      }
+    } else {
+      settings[entryId] = { ...settings[entryId], [key]: value };
+    }
+
+    this.flush();
+    this.logger.log('INFO', `Setting ${key} for ${scope} ${entryId}: ${value === undefined ? 'default' : value}`);
+  }
+
+  resolve(key, chatId, userId, defaultValue) {
+    // A chat override (set by an admin) wins over the user's own preference, which wins over the config
+    const chatValue = this.get('chat', chatId, key);
+    if (chatValue !== undefined) {
+      return chatValue;
+    }
+
+    const userValue = userId ? this.get('user', userId, key) : undefined;
+    return userValue !== undefined ? userValue : defaultValue;
+  }
+
+  getScope(scope) {
+    return scope === 'chat' ? this.chats : this.users;
+  }
+
+  flush() {
+    this.store.save({ chats: this.chats, users: this.users });
+  }
+}
+
+module.exports = SettingsStore;
@@ -1,14 +1,41 @@
 const TelegramBotAPI = require('node-telegram-bot-api');
 const EventEmitter = require('events');
+const { parseDuration } = require('../utils/TimeFormatter');
 
 class TelegramBot extends EventEmitter {
-  constructor(token, linkParser, logger) {
+  constructor(token, linkParser, logger, adminUserIds = [], baseApiUrl = null) {
     super();
     this.token = token;
+    this.baseApiUrl = baseApiUrl; // Self-hosted telegram-bot-api server, lifts the public file size limits
     this.linkParser = linkParser;
     this.logger = logger;
+    this.adminUserIds = new Set(adminUserIds.map(id => id.toString()));
     this.bot = null;
     this.processedMessages = new Set(); // Track processed message IDs
+    this.relayAccountIds = new Set(); // User IDs of our own client accounts that relay media to the bot
+  }
+
+  setRelayAccounts(accountIds) {
+    this.relayAccountIds = new Set(accountIds.map(id => id.toString()));
+  }
+
+  isAdmin(userId) {
+    return this.adminUserIds.has(userId.toString());
+  }
+
+  isRelayMessage(msg) {
+    // Every forward sent by one of our own client accounts is relayed media, whatever its origin
+    return !!(msg.from && this.relayAccountIds.has(msg.from.id.toString()) && (msg.forward_date || msg.forward_origin));
+  }
+
+  getForwardSenderId(msg) {
+    if (msg.forward_from) {
+      return msg.forward_from.id;
+    }
+    if (msg.forward_origin && msg.forward_origin.sender_user) {
+      return msg.forward_origin.sender_user.id;
+    }
+    return null;
   }
 
   async start() {
@@ -18,9 +45,13 @@ class TelegramBot extends EventEmitter {
     }
 
     try {
-      this.bot = new TelegramBotAPI(this.token, { polling: true });
+      const options = { polling: true };
+      if (this.baseApiUrl) {
+        options.baseApiUrl = this.baseApiUrl;
+      }
+      this.bot = new TelegramBotAPI(this.token, options);
       
-      this.logger.log('INFO', 'Telegram Bot started');
+      this.logger.log('INFO', `Telegram Bot started${this.baseApiUrl ? ` (Bot API server: ${this.baseApiUrl})` : ''}`);
 
       // Set up message handlers
       this.setupHandlers();
@@ -42,11 +73,76 @@ class TelegramBot extends EventEmitter {
       await this.handleHelpCommand(msg);
     });
 
+    // Handle /refresh command - reprocess a link, bypassing the result cache
+    this.bot.onText(/^\/refresh(@\w+)?(\s+([\s\S]+))?$/, async (msg, match) => {
+      await this.handleRefreshCommand(msg, match);
+    });
+
+    // Handle /settings command - per-user preferences, or per-chat ones when an admin uses it in a group
+    this.bot.onText(/^\/settings(@\w+)?(\s+([\s\S]+))?$/, async (msg, match) => {
+      await this.handleSettingsCommand(msg, match);
+    });
+
+    // Handle /quota command - the user's remaining limits
+    this.bot.onText(/^\/quota(@\w+)?(\s|$)/, async (msg) => {
+      this.emit('quotaRequested', { chatId: msg.chat.id, userId: msg.from.id, username: msg.from.username || 'unknown' });
+    });
+
+    // Handle /limit command - per-user limit overrides (admins only)
+    this.bot.onText(/^\/limit(@\w+)?(\s+([\s\S]+))?$/, async (msg, match) => {
+      if (!(await this.requireAdmin(msg))) {
+        return;
+      }
+      await this.handleLimitCommand(msg, match);
+    });
+
+    // Handle /ban, /unban and /allow commands (admins only)
+    this.bot.onText(/^\/(ban|unban|allow)(@\w+)?(\s+([\s\S]+))?$/, async (msg, match) => {
+      if (!(await this.requireAdmin(msg))) {
+        return;
+      }
+      await this.handleAccessCommand(msg, match);
+    });
+
+    // Handle /cachestats command (admins only)
+    this.bot.onText(/^\/cachestats(@\w+)?(\s|$)/, async (msg) => {
+      if (!(await this.requireAdmin(msg))) {
+        return;
+      }
+      this.emit('cacheStatsRequested', { chatId: msg.chat.id, userId: msg.from.id });
+    });
+
+    // Handle /accounts command (admins only)
+    this.bot.onText(/^\/accounts(@\w+)?(\s|$)/, async (msg) => {
+      if (!(await this.requireAdmin(msg))) {
+        return;
+      }
+      this.emit('accountsRequested', { chatId: msg.chat.id, userId: msg.from.id });
+    });
+
+    // Operator commands (admins only): /stats, /queue, /pause, /resume, /flush and /health
+    const operatorCommands = {
+      stats: 'statsRequested',
+      queue: 'queueRequested',
+      pause: 'pauseRequested',
+      resume: 'resumeRequested',
+      flush: 'flushRequested',
+      health: 'healthRequested'
+    };
+    for (const [command, event] of Object.entries(operatorCommands)) {
+      this.bot.onText(new RegExp(`^\\/${command}(@\\w+)?(\\s|$)`), async (msg) => {
+        if (!(await this.requireAdmin(msg))) {
+          return;
+        }
+        this.emit(event, { chatId: msg.chat.id, userId: msg.from.id });
+      });
+    }
+
     // Handle all other messages
     this.bot.on('message', async (msg) => {
-      // Check if this is a forwarded message to bot account FIRST
+      // Check if this is media relayed by our client account FIRST
       // This prevents forwarded media from being processed as new requests
-      if (msg.forward_from) {
+      if (this.isRelayMessage(msg)) {
         await this.handleForwardedMessage(msg);
         return;
       }
@@ -171,6 +267,11 @@ Use /help for more information.
 • \`https://t.me/BotName?start=parameter\`
 • Multiple links in one message
 
+*Commands:*
+• /refresh \`link\` - fetch a link again instead of using the cached result
+• /settings - show or change your settings, such as how long delivered files stay
+• /quota - see how many requests you have left
+
 *What I Do:*
 ✅ Automatically join required channels
 ✅ Click confirmation buttons
@@ -197,6 +298,157 @@ Happy downloading! 🎉
     }
   }
 
+  async requireAdmin(msg) {
+    if (msg.from && this.isAdmin(msg.from.id)) {
+      return true;
+    }
+
+    try {
+      await this.bot.sendMessage(msg.chat.id, '⛔ This command is only available to admins.');
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to send admin-only notice: ${error.message}`);
+    }
+    return false;
+  }
+
+  async handleRefreshCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const text = match && match[3] ? match[3] : '';
+    const botLinks = this.linkParser.extractBotLinks(text, msg.entities || []);
+
+    if (msg.chat.type !== 'private' || botLinks.length === 0) {
+      try {
+        await this.bot.sendMessage(
+          chatId,
+          'Usage: `/refresh https://t.me/BotName?start=parameter`\n\nSend it in a private chat with me to fetch a link again instead of using the cached result.',
+          { parse_mode: 'Markdown' }
+        );
+      } catch (error) {
+        this.logger.log('ERROR', `Failed to send refresh usage: ${error.message}`);
+      }
+      return;
+    }
+
+    const request = {
+      chatId: chatId,
+      userId: msg.from.id,
+      username: msg.from.username || 'unknown',
+      botLinks: botLinks,
+      bypassCache: true,
+      timestamp: new Date(),
+      status: 'queued',
+      timeout: 300000 // 5 minutes
+    };
+
+    this.logger.log('INFO', `Refresh requested for ${botLinks.length} bot link(s) by user ${request.userId}`);
+    this.emit('requestReceived', request);
+  }
+
+  async handleSettingsCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const args = match && match[3] ? match[3].trim().split(/\s+/) : [];
+    const isPrivateChat = msg.chat.type === 'private';
+    const username = msg.from.username || 'unknown';
+
+    if (args.length === 0) {
+      this.emit('settingsRequested', { chatId, userId: msg.from.id, username, scope: isPrivateChat ? 'user' : 'chat' });
+      return;
+    }
+
+    const setting = args.length === 2 ? this.parseSetting(args[0], args[1]) : null;
+    if (!setting) {
+      try {
+        await this.bot.sendMessage(
+          chatId,
+          '*Usage:*\n' +
+          '`/settings autodelete 5m|1h|off|default` - how long delivered files stay (at most 48 hours)\n' +
+          '`/settings protect on|off|default` - keep delivered files from being forwarded or saved\n' +
+          '`/settings spoiler on|off|default` - blur photos and videos until tapped\n' +
+          '`/settings silent on|off|default` - deliver without a notification sound\n\n' +
+          'Only admins can change protect, spoiler and silent, and in groups any setting, for the whole chat.',
+          { parse_mode: 'Markdown' }
+        );
+      } catch (error) {
+        this.logger.log('ERROR', `Failed to send settings usage: ${error.message}`);
+      }
+      return;
+    }
+
+    // Users pick their own auto-delete delay; everything else applies to the whole chat
+    const scope = isPrivateChat && setting.key === 'autoDelete' ? 'user' : 'chat';
+    if (scope === 'chat' && !(await this.requireAdmin(msg))) {
+      return;
+    }
+
+    this.emit('settingChanged', { chatId, userId: msg.from.id, username, scope, key: setting.key, value: setting.value });
+  }
+
+  async handleAccessCommand(msg, match) {
+    const action = match[1];
+    const userId = match[4] ? match[4].trim() : '';
+
+    if (!/^\d+$/.test(userId)) {
+      try {
+        await this.bot.sendMessage(msg.chat.id, `Usage: \`/${action} 123456789\` (the user's numeric Telegram ID)`, { parse_mode: 'Markdown' });
+      } catch (error) {
+        this.logger.log('ERROR', `Failed to send ${action} usage: ${error.message}`);
+      }
+      return;
+    }
+
+    this.emit('accessChangeRequested', { chatId: msg.chat.id, action, userId });
+  }
+
+  async handleLimitCommand(msg, match) {
+    const keys = { links: 'linksPerMessage', requests: 'requestsPerHour', joins: 'joinsPerDay', queued: 'queuedRequests' };
+    const [userId, name, value] = match && match[3] ? match[3].trim().split(/\s+/) : [];
+    const key = name ? keys[name.toLowerCase()] : undefined;
+
+    if (!/^\d+$/.test(userId || '') || !key || !/^(\d+|default)$/i.test(value || '')) {
+      try {
+        await this.bot.sendMessage(
+          msg.chat.id,
+          'Usage: `/limit <user id> links|requests|joins|queued <number|default>`\n\n' +
+          'Overrides one limit for a user: links per message, requests per hour, channel joins per day ' +
+          'or requests queued at once. 0 means unlimited.',
+          { parse_mode: 'Markdown' }
+        );
+      } catch (error) {
+        this.logger.log('ERROR', `Failed to send limit usage: ${error.message}`);
+      }
+      return;
+    }
+
+    this.emit('limitChangeRequested', {
+      chatId: msg.chat.id,
+      userId,
+      key,
+      value: value.toLowerCase() === 'default' ? undefined : parseInt(value)
+    });
+  }
+
+  parseSetting(name, rawValue) {
+    // Returns { key, value } for a valid /settings argument pair (value undefined resets to the default), or null
+    const keys = { autodelete: 'autoDelete', protect: 'protectContent', spoiler: 'spoiler', silent: 'silent' };
+    const key = keys[name.toLowerCase()];
+    const value = rawValue.toLowerCase();
+    if (!key) {
+      return null;
+    }
+
+    if (value === 'default') {
+      return { key, value: undefined };
+    }
+
+    if (key === 'autoDelete') {
+      const seconds = value === 'off' ? 0 : parseDuration(value);
+      // Bots can only delete their messages for 48 hours
+      return seconds !== null && seconds <= 172800 ? { key, value: seconds } : null;
+    }
+
+    return ['on', 'off'].includes(value) ? { key, value: value === 'on' } : null;
+  }
+
   async handleMessage(msg) {
     console.log('handleMessage, msg:', msg)
     // Prevent duplicate processing of the same message
@@ -213,9 +465,9 @@ Happy downloading! 🎉
       this.processedMessages = new Set(entries.slice(-100));
     }
 
-    // Safety check: Skip forwarded messages (should be handled by handleForwardedMessage)
-    if (msg.forward_from) {
-      this.logger.log('WARN', 'Forwarded message reached handleMessage - this should not happen');
+    // Safety check: Skip relayed media (should be handled by handleForwardedMessage)
+    if (this.isRelayMessage(msg)) {
+      this.logger.log('WARN', 'Relayed message reached handleMessage - this should not happen');
       return;
     }
 
@@ -229,10 +481,27 @@ Happy downloading! 🎉
     // Log the entire message for debugging
     this.logger.log('INFO', `Bot received message type: ${msg.photo ? 'photo' : msg.video ? 'video' : 'text'} in ${msg.chat.type} chat`);
 
-    // Extract bot links from both text and entities
-    const botLinks = this.linkParser.extractBotLinks(text, entities);
+    // Extract bot links from text, entities and inline keyboard URL buttons
+    const foundLinks = this.linkParser.extractBotLinks(text, entities, msg.reply_markup);
+
+    this.logger.log('INFO', `Found ${foundLinks.length} bot link(s) in message`);
 
-    this.logger.log('INFO', `Found ${botLinks.length} bot link(s) in message`);
+    // Mini App (startapp) and group (startgroup) links can't be followed by sending /start
+    const unsupportedLinks = foundLinks.filter(link => link.linkType !== 'start');
+    const botLinks = foundLinks.filter(link => link.linkType === 'start');
+
+    if (unsupportedLinks.length > 0 && isPrivateChat) {
+      const list = unsupportedLinks.map(link => `• ${link.originalUrl}`).join('\n');
+      try {
+        await this.bot.sendMessage(chatId, `⚠️ Mini App and group links are not supported and were skipped:\n${list}`);
+      } catch (error) {
+        this.logger.log('ERROR', `Failed to send unsupported links message: ${error.message}`);
+      }
+
+      if (botLinks.length === 0) {
+        return;
+      }
+    }
 
     if (botLinks?.length === 0) {
       // Only send "no links found" message in private chats, ignore in groups
@@ -243,6 +512,8 @@ Happy downloading! 🎉
 Please send a message containing Telegram bot start links like:
 \`https://t.me/BotName?start=parameter\`
 
+You can also forward a channel post whose button opens such a link.
+
 Use /help for more information.
         `.trim();
 
@@ -460,14 +731,17 @@ Use /help for more information.
   async handleForwardedMessage(msg) {
     // This is a forwarded message from client to bot account
     // We need to forward it to the end user who requested it
-    const forwardedFromBotId = msg.forward_from.id;
+    const senderId = this.getForwardSenderId(msg); // null for channel posts and hidden senders
+    const forwardDate = msg.forward_date || (msg.forward_origin && msg.forward_origin.date);
     
-    this.logger.log('INFO', `Received forwarded message from bot ${forwardedFromBotId}`);
+    this.logger.log('INFO', `Received forwarded message from account ${msg.from.id}, originally from ${senderId || 'a channel'} (date ${forwardDate})`);
     
     // Emit event for Application to handle
     this.emit('forwardedMediaReceived', {
       message: msg,
-      targetBotId: forwardedFromBotId
+      relayAccountId: msg.from.id,
+      senderId,
+      forwardDate
     });
   }
 
@@ -477,9 +751,7 @@ Use /help for more information.
     // For multiple links: botUsername1|startParam1||botUsername2|startParam2
     try {
       // Use a more compact format: pipe-separated values
-      const compactStr = botLinks.map(link => 
-        `${link.botUsername}|${link.startParameter}`
-      ).join('||');
+      const compactStr = botLinks.map(link => this.encodeLink(link)).join('||');
       
       const base64 = Buffer.from(compactStr).toString('base64')
         .replace(/\+/g, '-')  // Make URL safe
@@ -492,7 +764,7 @@ Use /help for more information.
         this.logger.log('WARN', `Encoded parameter length (${base64.length}) exceeds Telegram limit (64). Truncating to first link only.`);
         
         // Try with just the first link
-        const singleStr = `${botLinks[0].botUsername}|${botLinks[0].startParameter}`;
+        const singleStr = this.encodeLink(botLinks[0]);
         const singleBase64 = Buffer.from(singleStr).toString('base64')
           .replace(/\+/g, '-')
           .replace(/\//g, '_')
@@ -515,6 +787,10 @@ Use /help for more information.
     }
   }
 
+  encodeLink(link) {
+    return `${link.botUsername}|${link.startParameter}`;
+  }
+
   decodeStartParameter(param) {
     // Decode base64 parameter back to bot links
     // Format: pipe-separated values: botUsername|startParameter (for single link)
@@ -539,6 +815,7 @@ Use /help for more information.
         return {
           botUsername,
           startParameter,
+          linkType: 'start',
           originalUrl: `https://t.me/${botUsername}?start=${startParameter}`
         };
       });
@@ -551,42 +828,6 @@ Use /help for more information.
     }
   }
 
-  extractUrlsFromEntities(text, entities) {
-    const urls = [];
-    
-    if (!entities || entities.length === 0) {
-      return urls;
-    }
-
-    for (const entity of entities) {
-      // Check for text links (url embedded in text)
-      if (entity.type === 'text_link' && entity.url) {
-        urls.push(entity.url);
-      }
-      
-      // Check for regular URLs
-      if (entity.type === 'url') {
-        const url = text.substring(entity.offset, entity.offset + entity.length);
-        urls.push(url);
-      }
-    }
-
-    this.logger.log('INFO', `Extracted ${urls.length} URL(s) from message entities`);
-    return urls;
-  }
-
-  deduplicateLinks(links) {
-    const seen = new Set();
-    return links.filter(link => {
-      const key = `${link.botUsername}:${link.startParameter}`;
-      if (seen.has(key)) {
-        return false;
-      }
-      seen.add(key);
-      return true;
-    });
-  }
-
   async sendMessage(chatId, text, options = {}) {
     try {
       const msg = await this.bot.sendMessage(chatId, text, options);
@@ -618,6 +859,102 @@ Use /help for more information.
     }
   }
 
+  getMediaDescriptor(msg) {
+    // Reusable reference to the media in a message, valid for this bot to send again.
+    // Files are kept by file_id, polls/contacts/locations by their content.
+    // Animations also fill msg.document, so they're checked first
+    if (msg.photo) {
+      return { type: 'photo', fileId: msg.photo[msg.photo.length - 1].file_id };
+    }
+    for (const type of ['animation', 'video', 'video_note', 'voice', 'audio', 'sticker', 'document']) {
+      if (msg[type]) {
+        return { type, fileId: msg[type].file_id };
+      }
+    }
+    if (msg.poll) {
+      return {
+        type: 'poll',
+        question: msg.poll.question,
+        options: msg.poll.options.map(option => option.text),
+        pollType: msg.poll.type,
+        isAnonymous: msg.poll.is_anonymous,
+        allowsMultipleAnswers: msg.poll.allows_multiple_answers,
+        correctOptionId: msg.poll.correct_option_id
+      };
+    }
+    if (msg.contact) {
+      return {
+        type: 'contact',
+        phoneNumber: msg.contact.phone_number,
+        firstName: msg.contact.first_name,
+        lastName: msg.contact.last_name,
+        vcard: msg.contact.vcard
+      };
+    }
+    // Venues come with a location too, so they're checked first
+    if (msg.venue) {
+      return {
+        type: 'venue',
+        latitude: msg.venue.location.latitude,
+        longitude: msg.venue.location.longitude,
+        title: msg.venue.title,
+        address: msg.venue.address
+      };
+    }
+    if (msg.location) {
+      return { type: 'location', latitude: msg.location.latitude, longitude: msg.location.longitude };
+    }
+    if (msg.dice) {
+      return { type: 'dice', emoji: msg.dice.emoji };
+    }
+    // Text-only content keeps its formatting through the entities
+    if (msg.text) {
+      return { type: 'text', text: msg.text, entities: msg.entities };
+    }
+    return null;
+  }
+
+  async sendMedia(chatId, media, options = {}) {
+    if (media.type !== 'album') {
+      options = this.getSendOptions(media.type, options);
+    }
+
+    switch (media.type) {
+      case 'photo':
+        return await this.sendPhoto(chatId, media.fileId, options);
+      case 'video':
+        return await this.sendVideo(chatId, media.fileId, options);
+      case 'document':
+        return await this.sendDocument(chatId, media.fileId, options);
+      case 'audio':
+        return await this.sendAudio(chatId, media.fileId, options);
+      case 'voice':
+        return await this.sendVoice(chatId, media.fileId, options);
+      case 'animation':
+        return await this.sendAnimation(chatId, media.fileId, options);
+      case 'video_note':
+        return await this.sendVideoNote(chatId, media.fileId, options);
+      case 'sticker':
+        return await this.sendSticker(chatId, media.fileId, options);
+      case 'poll':
+        return await this.sendPoll(chatId, media, options);
+      case 'contact':
+        return await this.sendContact(chatId, media, options);
+      case 'location':
+        return await this.sendLocation(chatId, media, options);
+      case 'venue':
+        return await this.sendVenue(chatId, media, options);
+      case 'dice':
+        return await this.sendDice(chatId, media, options);
+      case 'text':
+        return await this.sendMessage(chatId, media.text, { ...options, entities: media.entities });
+      case 'album':
+        return await this.sendMediaGroup(chatId, media.items, options);
+      default:
+        throw new Error(`Unsupported media type: ${media.type}`);
+    }
+  }
+
   async sendPhoto(chatId, photo, options = {}) {
     try {
       const msg = await this.bot.sendPhoto(chatId, photo, options);
@@ -648,34 +985,225 @@ Use /help for more information.
     }
   }
 
-  async forwardMessage(chatId, fromChatId, messageId) {
+  async sendMediaGroup(chatId, items, options = {}) {
+    // Returns the message IDs of every item, in album order
+    const msgs = await this.sendMediaGroupMessages(chatId, items, options);
+    return msgs.map(msg => msg.message_id);
+  }
+
+  async sendMediaGroupMessages(chatId, items, options = {}) {
     try {
-      await this.bot.forwardMessage(chatId, fromChatId, messageId);
-      this.logger.log('INFO', `Forwarded message ${messageId} to ${chatId}`);
+      // Items are either sent again by file_id or uploaded from a downloaded file.
+      // Albums take the spoiler per item rather than for the whole group
+      const { has_spoiler: hasSpoiler, ...groupOptions } = options;
+      const media = items.map(item => ({
+        type: item.type,
+        media: item.file || item.fileId,
+        fileOptions: item.file ? this.getFileOptions(item) : undefined,
+        ...(hasSpoiler && ['photo', 'video'].includes(item.type) ? { has_spoiler: true } : {})
+      }));
+      return await this.bot.sendMediaGroup(chatId, media, groupOptions);
     } catch (error) {
-      this.logger.log('ERROR', `Failed to forward message: ${error.message}`);
+      this.logger.log('ERROR', `Failed to send album to ${chatId}: ${error.message}`);
       throw error;
     }
   }
 
-  async deleteMessage(chatId, messageId) {
+  async uploadMedia(chatId, media, options = {}) {
+    // Sends a descriptor whose files were downloaded (media.file) rather than referenced by file_id.
+    // Returns the sent message IDs and a file_id-based descriptor that can be sent again later
+    const methods = {
+      photo: 'sendPhoto',
+      video: 'sendVideo',
+      document: 'sendDocument',
+      audio: 'sendAudio',
+      voice: 'sendVoice',
+      animation: 'sendAnimation',
+      video_note: 'sendVideoNote',
+      sticker: 'sendSticker'
+    };
+
+    if (media.type === 'album') {
+      const msgs = await this.sendMediaGroupMessages(chatId, media.items, options);
+      return {
+        messageIds: msgs.map(msg => msg.message_id),
+        media: { type: 'album', items: msgs.map(msg => this.getMediaDescriptor(msg)) }
+      };
+    }
+
+    if (!media.file) {
+      const sent = await this.sendMedia(chatId, media, options);
+      return { messageIds: [].concat(sent), media };
+    }
+
     try {
-      await this.bot.deleteMessage(chatId, messageId);
-      this.logger.log('INFO', `Deleted message ${messageId} from chat ${chatId}`);
-      return true;
+      const sendOptions = this.getSendOptions(media.type, options);
+      const msg = await this.bot[methods[media.type]](chatId, media.file, sendOptions, this.getFileOptions(media));
+      return { messageIds: [msg.message_id], media: this.getMediaDescriptor(msg) };
     } catch (error) {
-      this.logger.log('ERROR', `Failed to delete message: ${error.message}`);
-      return false;
+      this.logger.log('ERROR', `Failed to upload ${media.type} to ${chatId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  getSendOptions(type, options) {
+    // Only photos, videos and GIFs can be hidden under a spoiler
+    if (!options.has_spoiler || ['photo', 'video', 'animation'].includes(type)) {
+      return options;
     }
+    const sendOptions = { ...options };
+    delete sendOptions.has_spoiler;
+    return sendOptions;
+  }
+
+  getMaxFileSize() {
+    // The public Bot API uploads up to 50 MB, a local server up to 2000 MB
+    return this.baseApiUrl ? 2000 * 1024 * 1024 : 50 * 1024 * 1024;
+  }
+
+  getFileOptions(media) {
+    return { filename: media.fileInfo.fileName, contentType: media.fileInfo.mimeType };
   }
+
+  async sendAudio(chatId, audio, options = {}) {
+    try {
+      const msg = await this.bot.sendAudio(chatId, audio, options);
+      return msg.message_id;
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to send audio to ${chatId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async sendVoice(chatId, voice, options = {}) {
+    try {
+      const msg = await this.bot.sendVoice(chatId, voice, options);
+      return msg.message_id;
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to send voice message to ${chatId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async sendAnimation(chatId, animation, options = {}) {
+    try {
+      const msg = await this.bot.sendAnimation(chatId, animation, options);
+      return msg.message_id;
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to send animation to ${chatId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async sendVideoNote(chatId, videoNote, options = {}) {
+    try {
+      const msg = await this.bot.sendVideoNote(chatId, videoNote, options);
+      return msg.message_id;
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to send video note to ${chatId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async sendSticker(chatId, sticker, options = {}) {
+    try {
+      const msg = await this.bot.sendSticker(chatId, sticker, options);
+      return msg.message_id;
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to send sticker to ${chatId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async sendPoll(chatId, poll, options = {}) {
+    // A quiz can only be re-created when its correct answer is known
+    const isQuiz = poll.pollType === 'quiz' && poll.correctOptionId !== undefined;
+    try {
+      const msg = await this.bot.sendPoll(chatId, poll.question, poll.options, {
+        ...options,
+        is_anonymous: poll.isAnonymous,
+        type: isQuiz ? 'quiz' : 'regular',
+        allows_multiple_answers: isQuiz ? undefined : poll.allowsMultipleAnswers,
+        correct_option_id: isQuiz ? poll.correctOptionId : undefined
+      });
+      return msg.message_id;
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to send poll to ${chatId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async sendContact(chatId, contact, options = {}) {
+    try {
+      const msg = await this.bot.sendContact(chatId, contact.phoneNumber, contact.firstName, {
+        ...options,
+        last_name: contact.lastName,
+        vcard: contact.vcard
+      });
+      return msg.message_id;
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to send contact to ${chatId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async sendLocation(chatId, location, options = {}) {
+    try {
+      const msg = await this.bot.sendLocation(chatId, location.latitude, location.longitude, options);
+      return msg.message_id;
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to send location to ${chatId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async sendVenue(chatId, venue, options = {}) {
+    try {
+      const msg = await this.bot.sendVenue(chatId, venue.latitude, venue.longitude, venue.title, venue.address, options);
+      return msg.message_id;
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to send venue to ${chatId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async sendDice(chatId, dice, options = {}) {
+    try {
+      const msg = await this.bot.sendDice(chatId, { ...options, emoji: dice.emoji });
+      return msg.message_id;
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to send dice to ${chatId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async forwardMessage(chatId, fromChatId, messageId) {
+    try {
+      await this.bot.forwardMessage(chatId, fromChatId, messageId);
+      this.logger.log('INFO', `Forwarded message ${messageId} to ${chatId}`);
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to forward message: ${error.message}`);
+      throw error;
+    }
+  }
+
   async deleteMessage(chatId, messageId) {
+    // True once the message is gone, false if Telegram refuses to delete it (too old, or no rights).
+    // Other errors are thrown so the caller can try again later
     try {
       await this.bot.deleteMessage(chatId, messageId);
       this.logger.log('INFO', `Deleted message ${messageId} from chat ${chatId}`);
       return true;
     } catch (error) {
+      if (/message to delete not found/i.test(error.message)) {
+        return true;
+      }
+      if (/message can't be deleted/i.test(error.message)) {
+        this.logger.log('WARN', `Message ${messageId} in chat ${chatId} can no longer be deleted`);
+        return false;
+      }
       this.logger.log('ERROR', `Failed to delete message: ${error.message}`);
-      return false;
+      throw error;
     }
   }
 
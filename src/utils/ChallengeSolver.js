@@ -0,0 +1,112 @@
+class ChallengeSolver {
+  constructor() {
+    // "7 + 4 = ?", "what is 12 x 3", "solve: 9 - 5" - the expression has to be the whole line,
+    // so numbers inside file names or dates ("movie-2024-10.zip") aren't taken for a question
+    this.arithmeticPattern = /^\s*(?:(?:what(?:\s+is|'s)|how\s+much(?:\s+is)?|solve|calculate|حاصل)\s*:?\s*)?(-?\d+)\s*([+\-*/×x÷−])\s*(-?\d+)\s*(?:=\s*)?(?:\?|؟|چند[^\n\d]*)?\s*$/im;
+    this.questionPattern = /(what\s+is|what's|how\s+much|solve|calculate|=|\?|؟|چند|حاصل)/i;
+    // Without buttons to choose from, "12 - 5 =" alone isn't enough to send an answer
+    this.textQuestionPattern = /(what\s+is|what's|how\s+much|solve|calculate|\?|؟|چند|حاصل)/i;
+    this.urlPattern = /(https?:\/\/|www\.|t\.me\/)/i;
+    // "press the 🍎", "click on the button with Apple", "tap «Banana»"
+    this.pressPattern = /(?:press|click|tap|select|choose)\s+(?:on\s+)?(?:the\s+)?(?:button\s+)?(?:with\s+)?(?:the\s+)?["'«“]?([^"'»”\n]+?)["'»”]?(?:\s+button)?\s*[.!]?\s*$/im;
+    this.emojiPattern = /\p{Extended_Pictographic}/gu;
+    // "find the 🍎", "which one is 🍌?" - emoji in any other message are decoration, not a question
+    this.emojiPromptPattern = /(find|select|choose|press|tap|click|pick|which|where|same|match|captcha|verify|human|robot|پیدا|انتخاب|کدام)/i;
+  }
+
+  detect(message) {
+    // Returns { type, answer, button } for an anti-bot challenge, or null
+    const text = message.text || message.message || '';
+    const buttons = this.getButtons(message);
+
+    // A keyboard with URL buttons is the channel gate, not a challenge
+    if (!text || buttons.some(button => button.url)) {
+      return null;
+    }
+
+    return this.solveArithmetic(text, buttons) ||
+      this.solvePress(text, buttons) ||
+      this.solveEmoji(text, buttons);
+  }
+
+  getButtons(message) {
+    const markup = message.replyMarkup;
+    if (!markup || !markup.rows) {
+      return [];
+    }
+    return markup.rows.flatMap(row => row.buttons);
+  }
+
+  solveArithmetic(text, buttons) {
+    // Messages with links carry content (download links, file names), not a challenge
+    if (this.urlPattern.test(text)) {
+      return null;
+    }
+
+    const match = text.match(this.arithmeticPattern);
+    const asked = buttons.length > 0 ? this.questionPattern : this.textQuestionPattern;
+    if (!match || !asked.test(match[0])) {
+      return null;
+    }
+
+    const left = parseInt(match[1]);
+    const right = parseInt(match[3]);
+    let result;
+    switch (match[2]) {
+      case '+':
+        result = left + right;
+        break;
+      case '-':
+      case '−':
+        result = left - right;
+        break;
+      case '*':
+      case '×':
+      case 'x':
+        result = left * right;
+        break;
+      default:
+        if (right === 0) {
+          return null;
+        }
+        result = left / right;
+    }
+
+    const answer = Number.isInteger(result) ? result.toString() : result.toFixed(2);
+
+    // Without buttons the answer is sent as a text reply
+    if (buttons.length === 0) {
+      return { type: 'arithmetic', answer, button: null };
+    }
+
+    const button = buttons.find(item => item.text.trim() === answer);
+    return button ? { type: 'arithmetic', answer, button } : null;
+  }
+
+  solvePress(text, buttons) {
+    const match = text.match(this.pressPattern);
+    if (!match || buttons.length === 0) {
+      return null;
+    }
+
+    const target = match[1].trim().toLowerCase();
+    const exact = buttons.find(button => button.text.trim().toLowerCase() === target);
+    const partial = buttons.filter(button => button.text.toLowerCase().includes(target));
+    const button = exact || (partial.length === 1 ? partial[0] : null);
+
+    return button ? { type: 'press', answer: button.text, button } : null;
+  }
+
+  solveEmoji(text, buttons) {
+    const prompted = new Set(text.match(this.emojiPattern) || []);
+    if (prompted.size === 0 || buttons.length < 2 || !this.emojiPromptPattern.test(text)) {
+      return null;
+    }
+
+    // Only one button may carry an emoji from the prompt, otherwise the answer is ambiguous
+    const candidates = buttons.filter(button => (button.text.match(this.emojiPattern) || []).some(emoji => prompted.has(emoji)));
+    return candidates.length === 1 ? { type: 'emoji', answer: candidates[0].text, button: candidates[0] } : null;
+  }
+}
+
+module.exports = ChallengeSolver;
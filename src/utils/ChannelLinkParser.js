@@ -0,0 +1,129 @@
+class ChannelLinkParser {
+  constructor() {
+    this.hosts = ['t.me', 'telegram.me', 'telegram.dog'];
+    this.usernamePattern = /^[a-zA-Z][a-zA-Z0-9_]{2,31}$/;
+    this.inviteHashPattern = /^[a-zA-Z0-9_-]+$/;
+    // Paths on t.me that aren't chats
+    this.reservedPaths = [
+      'share', 'addstickers', 'addemoji', 'addtheme', 'addlist', 'proxy', 'socks',
+      'login', 'setlanguage', 'confirmphone', 'bg', 'iv', 'invoice', 'boost', 'contact'
+    ];
+    // Query parameters that make a link a bot start link rather than a channel link
+    this.botParameters = ['start', 'startgroup', 'startchannel', 'startapp', 'startattach'];
+  }
+
+  parse(url) {
+    // Returns { type: 'username', username, postId }, { type: 'invite', inviteHash }
+    // or { type: 'private', channelId, postId }, each with originalUrl - or null
+    if (!url || typeof url !== 'string') {
+      return null;
+    }
+
+    const trimmed = url.trim();
+    let parsed;
+    try {
+      // Bare "t.me/name" links have no scheme
+      parsed = new URL(/^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    } catch (error) {
+      return null;
+    }
+
+    if (this.botParameters.some(parameter => parsed.searchParams.has(parameter))) {
+      return null;
+    }
+
+    let result = null;
+    if (parsed.protocol === 'tg:') {
+      result = this.parseDeepLink(parsed);
+    } else if (['http:', 'https:'].includes(parsed.protocol) && this.hosts.includes(parsed.hostname.toLowerCase().replace(/^www\./, ''))) {
+      result = this.parsePath(parsed.pathname);
+    }
+
+    return result ? { ...result, originalUrl: url } : null;
+  }
+
+  parseDeepLink(parsed) {
+    const params = parsed.searchParams;
+
+    switch (parsed.hostname.toLowerCase()) {
+      case 'resolve':
+        return this.username(params.get('domain'), params.get('post'));
+      case 'join':
+        return this.invite(params.get('invite'));
+      case 'privatepost':
+        return this.privateChannel(params.get('channel'), params.get('post'));
+      default:
+        return null;
+    }
+  }
+
+  parsePath(pathname) {
+    const segments = pathname.split('/').filter(Boolean).map(segment => this.decode(segment));
+    if (segments.length === 0) {
+      return null;
+    }
+
+    const [first, second, third] = segments;
+    const keyword = first.toLowerCase();
+
+    // t.me/+HASH and legacy t.me/joinchat/HASH
+    if (first.startsWith('+')) {
+      return this.invite(first.substring(1));
+    }
+    if (keyword === 'joinchat') {
+      return this.invite(second);
+    }
+
+    // t.me/s/name is the public web preview of a channel
+    if (keyword === 's') {
+      return this.username(second, third);
+    }
+
+    // t.me/c/1234567890/42 only opens for existing members
+    if (keyword === 'c') {
+      return this.privateChannel(second, third);
+    }
+
+    if (this.reservedPaths.includes(keyword)) {
+      return null;
+    }
+
+    // t.me/name or a post link t.me/name/123
+    return this.username(first, second);
+  }
+
+  decode(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      return segment;
+    }
+  }
+
+  username(value, postId) {
+    if (!value || !this.usernamePattern.test(value)) {
+      return null;
+    }
+    return { type: 'username', username: value, postId: this.postId(postId) };
+  }
+
+  invite(value) {
+    if (!value || !this.inviteHashPattern.test(value)) {
+      return null;
+    }
+    return { type: 'invite', inviteHash: value };
+  }
+
+  privateChannel(value, postId) {
+    if (!value || !/^\d+$/.test(value)) {
+      return null;
+    }
+    return { type: 'private', channelId: value, postId: this.postId(postId) };
+  }
+
+  postId(value) {
+    return value && /^\d+$/.test(value) ? parseInt(value) : null;
+  }
+}
+
+module.exports = ChannelLinkParser;
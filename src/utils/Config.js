@@ -1,13 +1,38 @@
+const path = require('path');
+
 class Config {
   constructor() {
     this.apiId = this.loadRequired('TELEGRAM_API_ID');
     this.apiHash = this.loadRequired('TELEGRAM_API_HASH');
     this.phoneNumber = this.loadOptional('TELEGRAM_PHONE', null);
     this.sessionPath = this.loadOptional('SESSION_PATH', './session/telegram-session.json');
+    this.additionalSessionPaths = this.loadList('ADDITIONAL_SESSION_PATHS'); // Extra accounts for the userbot pool
+    this.dataDir = this.loadOptional('DATA_DIR', path.dirname(this.sessionPath)); // Persistent state lives next to the session
     this.logLevel = this.loadOptional('LOG_LEVEL', 'info');
     this.botToken = this.loadOptional('TELEGRAM_BOT_TOKEN', null);
     this.maxQueueSize = parseInt(this.loadOptional('MAX_QUEUE_SIZE', '100'));
     this.requestTimeout = parseInt(this.loadOptional('REQUEST_TIMEOUT', '300000')); // 5 minutes
+    this.maxConcurrentRequests = parseInt(this.loadOptional('MAX_CONCURRENT_REQUESTS', '3'));
+    this.cacheTtl = parseInt(this.loadOptional('CACHE_TTL', '86400')); // Seconds, 0 disables the result cache
+    this.leavePolicy = this.loadOptional('LEAVE_POLICY', 'never').toLowerCase();
+    this.leaveAfter = parseInt(this.loadOptional('LEAVE_AFTER', '86400')); // Seconds
+    this.recipesPath = this.loadOptional('RECIPES_PATH', null); // Per-bot interaction recipes (JSON)
+    this.deliveryMode = this.loadOptional('DELIVERY_MODE', 'relay').toLowerCase(); // relay or direct
+    this.botApiUrl = this.loadOptional('BOT_API_URL', null); // Self-hosted Bot API server for large files
+    this.autoDeleteDelay = parseInt(this.loadOptional('AUTO_DELETE_DELAY', '20')); // Seconds, 0 keeps delivered media
+    this.protectContent = this.loadBoolean('PROTECT_CONTENT', false); // Delivered media can't be forwarded or saved
+    this.spoilerMedia = this.loadBoolean('SPOILER_MEDIA', false); // Blur photos and videos until tapped
+    this.silentDelivery = this.loadBoolean('SILENT_DELIVERY', false); // Deliver without a notification sound
+    this.clientMode = this.loadBoolean('CLIENT_MODE', false);
+    this.monitorChats = this.loadList('MONITOR_CHATS');
+    this.adminUserIds = this.loadList('ADMIN_USER_IDS');
+    this.accessMode = this.loadOptional('ACCESS_MODE', 'open').toLowerCase(); // open or allowlist
+    // Per-user limits, 0 means unlimited (admins aren't limited)
+    this.maxLinksPerMessage = parseInt(this.loadOptional('MAX_LINKS_PER_MESSAGE', '10'));
+    this.maxRequestsPerHour = parseInt(this.loadOptional('MAX_REQUESTS_PER_HOUR', '30'));
+    this.maxJoinsPerDay = parseInt(this.loadOptional('MAX_JOINS_PER_DAY', '100'));
+    this.maxQueuedPerUser = parseInt(this.loadOptional('MAX_QUEUED_PER_USER', '3'));
+    this.allowedUserIds = this.loadList('ALLOWED_USER_IDS');
   }
 
   loadRequired(key) {
@@ -26,6 +51,23 @@ class Config {
     return process.env[key] || defaultValue;
   }
 
+  loadBoolean(key, defaultValue) {
+    const value = process.env[key];
+    if (!value) {
+      return defaultValue;
+    }
+    return ['true', '1', 'yes', 'on'].includes(value.trim().toLowerCase());
+  }
+
+  loadList(key) {
+    // Comma-separated values, e.g. "-1001234567890,123456789"
+    const value = process.env[key];
+    if (!value) {
+      return [];
+    }
+    return value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+  }
+
   validate() {
     // Validate API ID is numeric
     if (isNaN(parseInt(this.apiId))) {
@@ -43,6 +85,60 @@ class Config {
       process.exit(1);
     }
 
+    // Validate leave policy
+    const validLeavePolicies = ['never', 'after', 'delivered'];
+    if (!validLeavePolicies.includes(this.leavePolicy)) {
+      console.error(`[ERROR] Invalid LEAVE_POLICY: ${this.leavePolicy}. Must be one of: ${validLeavePolicies.join(', ')}`);
+      process.exit(1);
+    }
+
+    // Validate delivery mode
+    const validDeliveryModes = ['relay', 'direct'];
+    if (!validDeliveryModes.includes(this.deliveryMode)) {
+      console.error(`[ERROR] Invalid DELIVERY_MODE: ${this.deliveryMode}. Must be one of: ${validDeliveryModes.join(', ')}`);
+      process.exit(1);
+    }
+
+    // Validate access mode
+    const validAccessModes = ['open', 'allowlist'];
+    if (!validAccessModes.includes(this.accessMode)) {
+      console.error(`[ERROR] Invalid ACCESS_MODE: ${this.accessMode}. Must be one of: ${validAccessModes.join(', ')}`);
+      process.exit(1);
+    }
+
+    // Per-user limits are counts, 0 turns a limit off
+    const limits = {
+      MAX_LINKS_PER_MESSAGE: this.maxLinksPerMessage,
+      MAX_REQUESTS_PER_HOUR: this.maxRequestsPerHour,
+      MAX_JOINS_PER_DAY: this.maxJoinsPerDay,
+      MAX_QUEUED_PER_USER: this.maxQueuedPerUser
+    };
+    for (const [key, value] of Object.entries(limits)) {
+      if (isNaN(value) || value < 0) {
+        console.error(`[ERROR] ${key} must be a number of 0 or more`);
+        process.exit(1);
+      }
+    }
+
+    // Bots can only delete their messages for 48 hours
+    if (isNaN(this.autoDeleteDelay) || this.autoDeleteDelay < 0 || this.autoDeleteDelay > 172800) {
+      console.error('[ERROR] AUTO_DELETE_DELAY must be a number of seconds between 0 and 172800 (48 hours)');
+      process.exit(1);
+    }
+
+    // At least one mode must be enabled
+    if (!this.botToken && !this.clientMode) {
+      console.error('[ERROR] Nothing to run: set TELEGRAM_BOT_TOKEN (bot mode) and/or CLIENT_MODE=true (client mode)');
+      process.exit(1);
+    }
+
+    // Client mode only reacts to allowlisted chats
+    if (this.clientMode && this.monitorChats.length === 0) {
+      console.error('[ERROR] CLIENT_MODE is enabled but MONITOR_CHATS is empty');
+      console.error('[ERROR] Set MONITOR_CHATS to a comma-separated list of chat IDs or usernames to watch');
+      process.exit(1);
+    }
+
     return true;
   }
 }
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+class JsonStore {
+  constructor(filePath, logger) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.ensureDirectory();
+  }
+
+  ensureDirectory() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  load(defaultValue) {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return defaultValue;
+      }
+
+      const data = fs.readFileSync(this.filePath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to load ${this.filePath}: ${error.message}`);
+      return defaultValue;
+    }
+  }
+
+  save(value) {
+    try {
+      // Write to a temp file first so a crash mid-write never leaves a truncated store
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(value, null, 2), { mode: 0o600 });
+      fs.renameSync(tempPath, this.filePath);
+      return true;
+    } catch (error) {
+      this.logger.log('ERROR', `Failed to save ${this.filePath}: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+module.exports = JsonStore;
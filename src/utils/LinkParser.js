@@ -1,39 +1,62 @@
 class LinkParser {
   constructor() {
-    // Regex pattern to match Telegram bot start links
-    // Supports both t.me and telegram.me domains
-    this.botLinkPattern = /https:\/\/(t|telegram)\.me\/([a-zA-Z0-9_]+)\?start=([a-zA-Z0-9_-]+)/g;
+    // Candidate links in free text: http(s) or bare t.me / telegram.me / telegram.dog links and tg://resolve
+    this.candidatePattern = /(?<![\w.])(?:(?:https?:\/\/)?(?:www\.)?(?:t|telegram)\.(?:me|dog)\/|tg:\/\/resolve\?)[^\s<>"']+/gi;
+    this.hosts = ['t.me', 'telegram.me', 'telegram.dog'];
+    this.usernamePattern = /^[a-zA-Z][a-zA-Z0-9_]{2,31}$/;
+    this.parameterPattern = /^[a-zA-Z0-9_-]{0,512}$/;
+    // Query parameter -> link type, in order of preference
+    this.linkTypes = ['start', 'startapp', 'startgroup'];
   }
 
-  extractBotLinks(messageText, entities = null) {
+  extractBotLinks(messageText, entities = null, replyMarkup = null) {
     const links = [];
 
-    // Extract from entities first (text_link, url types)
+    // Extract from entities first - text links (MTProto MessageEntityTextUrl / Bot API text_link)
+    // carry the url, plain url entities (MessageEntityUrl / url) point into the text
     if (entities && Array.isArray(entities)) {
       for (const entity of entities) {
-        if (entity.url) {
-          const botLink = this.parseBotLinkFromUrl(entity.url);
-          if (botLink) {
-            links.push(botLink);
-          }
+        let url = entity.url;
+        if (!url && (entity.type === 'url' || entity.className === 'MessageEntityUrl') && typeof messageText === 'string') {
+          url = messageText.substring(entity.offset, entity.offset + entity.length);
+        }
+
+        const botLink = this.parseBotLinkFromUrl(url);
+        if (botLink) {
+          links.push(botLink);
         }
       }
     }
 
     // Also extract from message text
     if (messageText && typeof messageText === 'string') {
-      let match;
-      this.botLinkPattern.lastIndex = 0;
-
-      while ((match = this.botLinkPattern.exec(messageText)) !== null) {
-        const botLink = this.parseBotLink(match[0], match[2], match[3]);
+      for (const match of messageText.matchAll(this.candidatePattern)) {
+        const botLink = this.parseBotLinkFromUrl(match[0]);
         if (botLink) {
           links.push(botLink);
         }
       }
     }
 
-    return links;
+    // Also extract from URL buttons, e.g. a forwarded channel post with the link in its keyboard
+    for (const url of this.getKeyboardUrls(replyMarkup)) {
+      const botLink = this.parseBotLinkFromUrl(url);
+      if (botLink) {
+        links.push(botLink);
+      }
+    }
+
+    return this.deduplicate(links);
+  }
+
+  getKeyboardUrls(replyMarkup) {
+    if (!replyMarkup) {
+      return [];
+    }
+
+    // Bot API: { inline_keyboard: [[{ text, url }]] }, MTProto: { rows: [{ buttons: [{ text, url }] }] }
+    const rows = replyMarkup.inline_keyboard || (replyMarkup.rows || []).map(row => row.buttons || []);
+    return rows.flat().map(button => button.url).filter(Boolean);
   }
 
   parseBotLinkFromUrl(url) {
@@ -41,26 +64,67 @@ class LinkParser {
       return null;
     }
 
-    // Match bot start links
-    const match = url.match(/https:\/\/(t|telegram)\.me\/([a-zA-Z0-9_]+)\?start=([a-zA-Z0-9_-]+)/);
-    if (match) {
-      return this.parseBotLink(match[0], match[2], match[3]);
+    // Drop punctuation that ends the sentence rather than the link
+    const trimmed = url.trim().replace(/[.,;:!?)\]}»”]+$/, '');
+    let parsed;
+    try {
+      parsed = new URL(/^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    } catch (error) {
+      return null;
+    }
+
+    let botUsername;
+    if (parsed.protocol === 'tg:' && parsed.hostname.toLowerCase() === 'resolve') {
+      botUsername = parsed.searchParams.get('domain');
+    } else if (['http:', 'https:'].includes(parsed.protocol) && this.hosts.includes(parsed.hostname.toLowerCase().replace(/^www\./, ''))) {
+      // t.me/Bot?start=... or a named Mini App t.me/Bot/app?startapp=...
+      const segments = parsed.pathname.split('/').filter(Boolean);
+      if (segments.length === 0 || segments.length > 2) {
+        return null;
+      }
+      botUsername = segments[0];
+    } else {
+      return null;
+    }
+
+    const linkType = this.linkTypes.find(type => parsed.searchParams.has(type));
+    if (!linkType) {
+      return null;
     }
 
-    return null;
+    return this.parseBotLink(trimmed, botUsername, parsed.searchParams.get(linkType), linkType);
   }
 
-  parseBotLink(url, botUsername, startParameter) {
-    if (!botUsername || !startParameter) {
+  parseBotLink(url, botUsername, startParameter, linkType = 'start') {
+    if (!botUsername || !this.usernamePattern.test(botUsername)) {
+      return null;
+    }
+
+    // Only Mini App and group links may come without a parameter
+    if (startParameter === null || !this.parameterPattern.test(startParameter) || (linkType === 'start' && !startParameter)) {
       return null;
     }
 
     return {
       botUsername: botUsername,
       startParameter: startParameter,
+      linkType: linkType,
       originalUrl: url
     };
   }
+
+  deduplicate(links) {
+    // Usernames are case-insensitive, so @Bot and @bot links with the same parameter are one link
+    const seen = new Set();
+    return links.filter(link => {
+      const key = `${link.botUsername.toLowerCase()}:${link.linkType}:${link.startParameter}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
 }
 
 module.exports = LinkParser;
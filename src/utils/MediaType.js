@@ -0,0 +1,86 @@
+/**
+ * Determines the media type of an MTProto message, named like the Bot API fields
+ * @param {object} message - gramjs message
+ * @returns {string|null} e.g. "photo", "voice", "video_note", "poll", or null for messages without relayable media
+ */
+function getMediaType(message) {
+  const media = message && message.media;
+  if (!media) {
+    return null;
+  }
+
+  switch (media.className) {
+    case 'MessageMediaPhoto':
+      return media.photo ? 'photo' : null; // Expired self-destructing photos have none
+    case 'MessageMediaDocument':
+      return media.document ? getDocumentType(media.document) : null;
+    case 'MessageMediaPoll':
+      return 'poll';
+    case 'MessageMediaContact':
+      return 'contact';
+    case 'MessageMediaGeo':
+    case 'MessageMediaGeoLive':
+      return 'location';
+    case 'MessageMediaVenue':
+      return 'venue';
+    case 'MessageMediaDice':
+      return 'dice';
+    default:
+      return null; // Web page previews, games, invoices...
+  }
+}
+
+function getDocumentType(document) {
+  const attributes = document.attributes || [];
+  const find = (className) => attributes.find(attribute => attribute.className === className);
+
+  // Order matters: GIFs and video notes also carry a video attribute, stickers may too
+  if (find('DocumentAttributeSticker')) {
+    return 'sticker';
+  }
+
+  const audio = find('DocumentAttributeAudio');
+  if (audio) {
+    return audio.voice ? 'voice' : 'audio';
+  }
+
+  const video = find('DocumentAttributeVideo');
+  if (video && video.roundMessage) {
+    return 'video_note';
+  }
+  if (find('DocumentAttributeAnimated')) {
+    return 'animation';
+  }
+  if (video) {
+    return 'video';
+  }
+
+  return 'document';
+}
+
+/**
+ * Human-readable name of a media type for status messages
+ * @param {string} type - Media type as returned by getMediaType
+ * @returns {string} e.g. "voice message"
+ */
+function describeMediaType(type) {
+  const labels = {
+    photo: 'photo',
+    video: 'video',
+    document: 'file',
+    audio: 'audio',
+    voice: 'voice message',
+    animation: 'GIF',
+    video_note: 'video message',
+    sticker: 'sticker',
+    poll: 'poll',
+    contact: 'contact',
+    location: 'location',
+    venue: 'venue',
+    dice: 'dice',
+    text: 'message'
+  };
+  return labels[type] || 'media';
+}
+
+module.exports = { getMediaType, describeMediaType };
@@ -0,0 +1,120 @@
+const { getMediaType } = require('./MediaType');
+
+// MTProto entity class -> Bot API entity type
+const ENTITY_TYPES = {
+  MessageEntityBold: 'bold',
+  MessageEntityItalic: 'italic',
+  MessageEntityUnderline: 'underline',
+  MessageEntityStrike: 'strikethrough',
+  MessageEntitySpoiler: 'spoiler',
+  MessageEntityCode: 'code',
+  MessageEntityPre: 'pre',
+  MessageEntityTextUrl: 'text_link',
+  MessageEntityUrl: 'url',
+  MessageEntityEmail: 'email',
+  MessageEntityPhone: 'phone_number',
+  MessageEntityMention: 'mention',
+  MessageEntityHashtag: 'hashtag',
+  MessageEntityCashtag: 'cashtag',
+  MessageEntityBotCommand: 'bot_command',
+  MessageEntityBlockquote: 'blockquote'
+};
+
+const FILE_TYPES = ['photo', 'video', 'document', 'audio', 'voice', 'animation', 'video_note', 'sticker'];
+
+/**
+ * Converts MTProto message entities to Bot API entities (both use UTF-16 offsets)
+ * @param {Array} entities - gramjs message entities
+ * @returns {Array} Bot API entities; types the Bot API can't express are dropped
+ */
+function toBotApiEntities(entities) {
+  return (entities || [])
+    .filter(entity => ENTITY_TYPES[entity.className])
+    .map(entity => {
+      const converted = { type: ENTITY_TYPES[entity.className], offset: entity.offset, length: entity.length };
+      if (entity.url) {
+        converted.url = entity.url;
+      }
+      if (entity.language) {
+        converted.language = entity.language;
+      }
+      return converted;
+    });
+}
+
+/**
+ * Name, MIME type and size of the file in an MTProto message
+ * @param {object} message - gramjs message with photo or document media
+ * @returns {{fileName: string, mimeType: string, size: number}|null}
+ */
+function getFileInfo(message) {
+  const media = message.media;
+
+  if (media.className === 'MessageMediaPhoto') {
+    // Largest size of the photo; progressive sizes list their byte counts
+    const sizes = (media.photo.sizes || []).map(size => size.size || Math.max(0, ...(size.sizes || [])));
+    return { fileName: 'photo.jpg', mimeType: 'image/jpeg', size: Math.max(0, ...sizes) };
+  }
+
+  if (media.className === 'MessageMediaDocument') {
+    const document = media.document;
+    const nameAttribute = (document.attributes || []).find(attribute => attribute.className === 'DocumentAttributeFilename');
+    return {
+      fileName: nameAttribute ? nameAttribute.fileName : 'file',
+      mimeType: document.mimeType || 'application/octet-stream',
+      size: Number(document.size)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Builds a Bot API media descriptor (as used by TelegramBot.sendMedia) from an MTProto message.
+ * File media get a fileInfo instead of a file_id - the file has to be downloaded first
+ * @param {object} message - gramjs message
+ * @returns {object|null} Descriptor, or null if there's nothing to deliver
+ */
+function toBotApiDescriptor(message) {
+  const type = getMediaType(message);
+  const media = message.media;
+
+  if (!type) {
+    return message.message ? { type: 'text', text: message.message, entities: toBotApiEntities(message.entities) } : null;
+  }
+
+  if (FILE_TYPES.includes(type)) {
+    return { type, fileInfo: getFileInfo(message) };
+  }
+
+  switch (type) {
+    case 'poll':
+      return {
+        type: 'poll',
+        // Newer layers wrap poll texts in TextWithEntities
+        question: media.poll.question.text || media.poll.question,
+        options: media.poll.answers.map(answer => answer.text.text || answer.text),
+        pollType: 'regular', // A quiz's correct answer isn't visible before voting
+        isAnonymous: !media.poll.publicVoters,
+        allowsMultipleAnswers: !!media.poll.multipleChoice
+      };
+    case 'contact':
+      return {
+        type: 'contact',
+        phoneNumber: media.phoneNumber,
+        firstName: media.firstName,
+        lastName: media.lastName,
+        vcard: media.vcard
+      };
+    case 'location':
+      return { type: 'location', latitude: media.geo.lat, longitude: media.geo.long };
+    case 'venue':
+      return { type: 'venue', latitude: media.geo.lat, longitude: media.geo.long, title: media.title, address: media.address };
+    case 'dice':
+      return { type: 'dice', emoji: media.emoticon };
+    default:
+      return null;
+  }
+}
+
+module.exports = { toBotApiDescriptor, toBotApiEntities, getFileInfo };
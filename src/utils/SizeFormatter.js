@@ -0,0 +1,22 @@
+/**
+ * Formats a byte count into a human-readable size string
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Formatted size (e.g., "512 B", "1.5 MB")
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+module.exports = { formatFileSize };
@@ -1,7 +1,7 @@
 /**
  * Formats seconds into a human-readable time string
  * @param {number} seconds - Number of seconds
- * @returns {string} Formatted time string (e.g., "02:04" for 2 minutes 4 seconds, or "45 seconds")
+ * @returns {string} Formatted time string (e.g., "02:04" for 2 minutes 4 seconds, "1:30:00", or "45 seconds")
  */
 function formatWaitTime(seconds) {
   if (seconds < 60) {
@@ -10,8 +10,28 @@ function formatWaitTime(seconds) {
   
   const minutes = Math.floor(seconds / 60);
   const remainingSeconds = seconds % 60;
+
+  if (minutes >= 60) {
+    // Long waits (hourly and daily limits) read better with hours
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}:${String(remainingSeconds).padStart(2, '0')}`;
+  }
   
   return `${String(minutes).padStart(2, '0')}:${String(remainingSeconds).padStart(2, '0')}`;
 }
 
-module.exports = { formatWaitTime };
+/**
+ * Parses a duration such as "90", "45s", "5m", "2h" or "1d"
+ * @param {string} text - Number with an optional unit (s, m, h, d); plain numbers are seconds
+ * @returns {number|null} Duration in seconds, or null if the text isn't a duration
+ */
+function parseDuration(text) {
+  const match = /^(\d+)\s*([smhd]?)$/i.exec(String(text).trim());
+  if (!match) {
+    return null;
+  }
+
+  const multipliers = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+  return parseInt(match[1]) * multipliers[match[2].toLowerCase()];
+}
+
+module.exports = { formatWaitTime, parseDuration };
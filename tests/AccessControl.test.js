@@ -0,0 +1,72 @@
+const AccessControl = require('../src/lib/AccessControl');
+const { useTempDir } = require('./helpers/tempDir');
+
+const logger = { log: () => {} };
+const dataFile = useTempDir('access-control-');
+
+const createAccessControl = (options = {}) => new AccessControl(dataFile('access.json'), logger, {
+  adminUserIds: ['100'],
+  allowedUserIds: ['200'],
+  ...options
+});
+
+describe('AccessControl', () => {
+  test('lets everyone but banned users in when open', () => {
+    const access = createAccessControl();
+    access.ban(300);
+
+    expect(access.check(300)).toBe('banned');
+    expect(access.check(400)).toBe('allowed');
+  });
+
+  test('only lets admins and allowed users in with an allowlist', () => {
+    const access = createAccessControl({ mode: 'allowlist' });
+    access.allow(300);
+
+    expect(access.check(100)).toBe('allowed');
+    expect(access.check(200)).toBe('allowed');
+    expect(access.check(300)).toBe('allowed');
+    expect(access.check(400)).toBe('not_allowed');
+  });
+
+  test('a ban wins over the allowlist, including ALLOWED_USER_IDS', () => {
+    const access = createAccessControl({ mode: 'allowlist' });
+    access.allow(300);
+    access.ban(300);
+    access.ban(200);
+
+    expect(access.check(300)).toBe('banned');
+    expect(access.check(200)).toBe('banned');
+  });
+
+  test('allowing a banned user lifts the ban, unbanning does not allow', () => {
+    const access = createAccessControl({ mode: 'allowlist' });
+    access.ban(300);
+    access.allow(300);
+    expect(access.check(300)).toBe('allowed');
+
+    access.ban(400);
+    expect(access.unban(400)).toBe(true);
+    expect(access.check(400)).toBe('not_allowed');
+    expect(access.unban(400)).toBe(false);
+  });
+
+  test('admins cannot be banned', () => {
+    const access = createAccessControl({ mode: 'allowlist' });
+
+    expect(access.ban(100)).toBe(false);
+    expect(access.check(100)).toBe('allowed');
+  });
+
+  test('reports each new user once and keeps everything across restarts', () => {
+    const access = createAccessControl();
+    expect(access.markSeen(300)).toBe(true);
+    expect(access.markSeen(300)).toBe(false);
+    expect(access.markSeen(100)).toBe(false);
+    access.ban(400);
+
+    const restored = createAccessControl();
+    expect(restored.markSeen(300)).toBe(false);
+    expect(restored.check(400)).toBe('banned');
+  });
+});
@@ -0,0 +1,80 @@
+const EventEmitter = require('events');
+const BotRequestHandler = require('../src/lib/BotRequestHandler');
+
+const logger = { log: () => {} };
+const account = { name: 'main', client: {}, userId: 1, floodWaitUntil: null };
+const link = (botUsername) => ({ botUsername, startParameter: 'x', linkType: 'start' });
+
+const createHandler = (interactWithBot) => {
+  const botInteractionHandler = Object.assign(new EventEmitter(), { interactWithBot: jest.fn(interactWithBot) });
+  const accountPool = {
+    pick: jest.fn(triedAccounts => (triedAccounts && triedAccounts.includes(account) ? null : account)),
+    reportSuccess: jest.fn(),
+    reportFailure: jest.fn(),
+    reportFloodWait: jest.fn(),
+    getPenalty: () => 0,
+    getEarliestAvailability: () => null
+  };
+  const telegramBot = {
+    sendStatusUpdate: jest.fn().mockResolvedValue(50),
+    editMessage: jest.fn().mockResolvedValue(true),
+    sendMessage: jest.fn().mockResolvedValue(60)
+  };
+  const handler = new BotRequestHandler(accountPool, botInteractionHandler, telegramBot, null, logger);
+  return { handler, botInteractionHandler, telegramBot };
+};
+
+const createRequest = (extra = {}) => ({
+  id: 'request-1',
+  chatId: 100,
+  userId: 100,
+  botLinks: [link('first_bot'), link('second_bot'), link('third_bot')],
+  ...extra
+});
+
+// [botUsername, startChannelIndex, joinedCount] of every interaction
+const interactions = (botInteractionHandler) => botInteractionHandler.interactWithBot.mock.calls
+  .map(([, botLink, , context]) => [botLink.botUsername, context.startChannelIndex, context.joinedCount]);
+
+describe('BotRequestHandler resuming', () => {
+  test('picks a parked request up at the link, channel and join count it stopped at', async () => {
+    const { handler, botInteractionHandler, telegramBot } = createHandler(async () => ({ success: true }));
+    const request = createRequest({
+      statusMessageId: 40,
+      resumeState: { linkIndex: 1, channelIndex: 2, joinedCount: 3 }
+    });
+
+    await expect(handler.handleRequest(request)).resolves.toEqual({ parked: false });
+    expect(interactions(botInteractionHandler)).toEqual([['second_bot', 2, 3], ['third_bot', 0, 0]]);
+    expect(request.resumeState).toBeNull();
+    expect(telegramBot.sendStatusUpdate).not.toHaveBeenCalled();
+    expect(telegramBot.editMessage).toHaveBeenCalledWith(100, 40, '🔄 Resuming...');
+  });
+
+  test('starts from the first link without a resume state', async () => {
+    const { handler, botInteractionHandler } = createHandler(async () => ({ success: true }));
+
+    await handler.handleRequest(createRequest());
+    expect(interactions(botInteractionHandler)).toEqual([['first_bot', 0, 0], ['second_bot', 0, 0], ['third_bot', 0, 0]]);
+  });
+
+  test('parks on a flood wait and resumes where it parked', async () => {
+    let floodWait = true;
+    const { handler, botInteractionHandler } = createHandler(async (client, botLink) => {
+      if (botLink.botUsername === 'second_bot' && floodWait) {
+        floodWait = false;
+        return { success: false, floodWait: 60, channelIndex: 4, joinedCount: 5 };
+      }
+      return { success: true };
+    });
+    const request = createRequest();
+
+    await expect(handler.handleRequest(request)).resolves.toMatchObject({ parked: true });
+    expect(request.resumeState).toEqual({ linkIndex: 1, channelIndex: 4, joinedCount: 5 });
+    expect(request.statusMessageId).toBe(50);
+
+    botInteractionHandler.interactWithBot.mockClear();
+    await expect(handler.handleRequest(request)).resolves.toEqual({ parked: false });
+    expect(interactions(botInteractionHandler)).toEqual([['second_bot', 4, 5], ['third_bot', 0, 0]]);
+  });
+});
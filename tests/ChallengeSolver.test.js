@@ -0,0 +1,60 @@
+const fc = require('fast-check');
+const ChallengeSolver = require('../src/utils/ChallengeSolver');
+
+const solver = new ChallengeSolver();
+
+const keyboard = (...texts) => ({
+  rows: [{ buttons: texts.map((text, index) => ({ text, data: Buffer.from(`answer_${index}`) })) }]
+});
+
+describe('ChallengeSolver arithmetic', () => {
+  test('answers in text when there are no buttons', () => {
+    expect(solver.detect({ message: '7 + 4 = ?' })).toEqual({ type: 'arithmetic', answer: '11', button: null });
+    expect(solver.detect({ message: 'What is 12 x 3?' })).toEqual({ type: 'arithmetic', answer: '36', button: null });
+    expect(solver.detect({ message: 'Solve: 9 - 5' })).toEqual({ type: 'arithmetic', answer: '4', button: null });
+    expect(solver.detect({ message: 'Anti-bot check\nHow much is 6*7?' })).toEqual({ type: 'arithmetic', answer: '42', button: null });
+  });
+
+  test('picks the button with the right answer', () => {
+    fc.assert(fc.property(fc.integer({ min: 0, max: 99 }), fc.integer({ min: 0, max: 99 }), (left, right) => {
+      const answer = (left + right).toString();
+      const result = solver.detect({ message: `${left} + ${right} = ?`, replyMarkup: keyboard('wrong', answer) });
+      expect(result.type).toBe('arithmetic');
+      expect(result.button.text).toBe(answer);
+    }));
+  });
+
+  test('needs a question before answering in text', () => {
+    expect(solver.detect({ message: '12 - 5 =' })).toBeNull();
+    expect(solver.detect({ message: '12 - 5 =', replyMarkup: keyboard('6', '7') }).answer).toBe('7');
+  });
+
+  test('ignores numbers in file names, dates and links', () => {
+    expect(solver.detect({ message: 'Your file: https://dl.example.com/get?f=movie-2024-10.zip' })).toBeNull();
+    expect(solver.detect({ message: 'What is new? Season 2024-10 = out now' })).toBeNull();
+    expect(solver.detect({ message: 'Released 2024-10-05, enjoy!' })).toBeNull();
+  });
+
+  test('leaves keyboards with URL buttons to the channel gate', () => {
+    const markup = { rows: [{ buttons: [{ text: 'Join', url: 'https://t.me/example' }, { text: '11', data: Buffer.from('a') }] }] };
+    expect(solver.detect({ message: '7 + 4 = ?', replyMarkup: markup })).toBeNull();
+  });
+});
+
+describe('ChallengeSolver buttons', () => {
+  test('presses the named button', () => {
+    const result = solver.detect({ message: 'Press the Banana button', replyMarkup: keyboard('Apple', 'Banana', 'Cherry') });
+    expect(result).toMatchObject({ type: 'press', answer: 'Banana' });
+  });
+
+  test('matches the prompted emoji only when it is unambiguous', () => {
+    expect(solver.detect({ message: 'Find the 🍎', replyMarkup: keyboard('🍌', '🍎', '🍒') })).toMatchObject({ type: 'emoji', answer: '🍎' });
+    expect(solver.detect({ message: 'Find the 🍎', replyMarkup: keyboard('🍎', '🍎 🍌') })).toBeNull();
+  });
+
+  test('leaves emoji alone unless the message asks for one', () => {
+    expect(solver.detect({ message: 'Which one is 🍌?', replyMarkup: keyboard('🍌', '🍎') })).toMatchObject({ type: 'emoji', answer: '🍌' });
+    expect(solver.detect({ message: '🔥 New episode is out! 🎬', replyMarkup: keyboard('🎬 Watch', '⬅️ Back') })).toBeNull();
+    expect(solver.detect({ message: 'Your file is ready 📁', replyMarkup: keyboard('📁 Download', 'Next page') })).toBeNull();
+  });
+});
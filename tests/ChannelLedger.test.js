@@ -0,0 +1,99 @@
+const Application = require('../src/lib/Application');
+const ChannelLedger = require('../src/lib/ChannelLedger');
+const { useTempDir } = require('./helpers/tempDir');
+
+const logger = { log: () => {} };
+const MINUTE = 60000;
+const dataFile = useTempDir('channel-ledger-');
+
+const channel = (id) => ({ id, accessHash: `${id}0`, type: 'channel', title: `Channel ${id}` });
+const context = (requestId) => ({ requestId, interactionId: `${requestId}-interaction`, link: { botUsername: 'example_bot' } });
+const createLedger = () => new ChannelLedger(dataFile('channels.json'), logger);
+const dueChannels = (ledger, policy) => ledger.getDue(policy, 60 * 60).map(entry => entry.channelId);
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('ChannelLedger.getDue', () => {
+  let ledger;
+
+  beforeEach(() => {
+    ledger = createLedger();
+    ledger.record('main', channel('1'), 'https://t.me/one', context('a'));
+    jest.advanceTimersByTime(30 * MINUTE);
+    ledger.record('main', channel('2'), 'https://t.me/two', context('b'));
+    ledger.record('main', channel('3'), 'https://t.me/three', context('c'));
+    ledger.markDelivered('b-interaction');
+    jest.advanceTimersByTime(30 * MINUTE);
+  });
+
+  test('never leaves anything with the never policy', () => {
+    expect(dueChannels(ledger, 'never')).toEqual([]);
+  });
+
+  test('leaves channels once leaveAfter has passed with the after policy', () => {
+    expect(dueChannels(ledger, 'after')).toEqual(['1']);
+  });
+
+  test('also leaves channels whose bot delivered with the delivered policy', () => {
+    expect(dueChannels(ledger, 'delivered')).toEqual(['1', '2']);
+  });
+
+  test('restarts the leave clock of a channel needed again', () => {
+    ledger.touch('main', '1', context('d'));
+    ledger.touch('main', '2', context('d'));
+
+    expect(dueChannels(ledger, 'delivered')).toEqual([]);
+    expect(createLedger().getChannelIds(new Set(['d']))).toEqual(new Set(['1', '2']));
+  });
+});
+
+describe('ChannelLedger.getChannelIds', () => {
+  test('returns the channels joined for the given requests', () => {
+    const ledger = createLedger();
+    ledger.record('main', channel('1'), 'https://t.me/one', context('a'));
+    ledger.record('second', channel('1'), 'https://t.me/one', context('b'));
+    ledger.record('main', channel('2'), 'https://t.me/two', context('c'));
+
+    expect(ledger.getChannelIds(new Set(['a', 'b']))).toEqual(new Set(['1']));
+    expect(ledger.getChannelIds(new Set())).toEqual(new Set());
+  });
+});
+
+describe('Application.sweepJoinedChannels', () => {
+  test('keeps channels still used by running and parked requests', async () => {
+    const channelLedger = createLedger();
+    channelLedger.record('main', channel('1'), 'https://t.me/one', context('running'));
+    channelLedger.record('main', channel('2'), 'https://t.me/two', context('parked'));
+    channelLedger.record('main', channel('3'), 'https://t.me/three', context('finished'));
+    // The running request came across a channel joined earlier for another link
+    channelLedger.record('main', channel('4'), 'https://t.me/four', context('finished'));
+    channelLedger.record('second', channel('4'), 'https://t.me/four-again', context('running'));
+    jest.advanceTimersByTime(2 * 60 * MINUTE);
+
+    const botInteractionHandler = {
+      leaveChannel: jest.fn().mockResolvedValue(true),
+      sleep: jest.fn().mockResolvedValue()
+    };
+    const app = {
+      logger,
+      channelLedger,
+      botInteractionHandler,
+      config: { leavePolicy: 'after', leaveAfter: 60 * 60 },
+      accountPool: { getByName: name => ({ name, client: {} }) },
+      requestQueue: {
+        getActiveRequests: () => [{ id: 'running' }],
+        getParkedRequests: () => [{ id: 'parked' }]
+      }
+    };
+
+    await Application.prototype.sweepJoinedChannels.call(app);
+    expect(botInteractionHandler.leaveChannel.mock.calls.map(([, entry]) => entry.channelId)).toEqual(['3']);
+    expect(channelLedger.entries.map(entry => entry.channelId)).toEqual(['1', '2', '4', '4']);
+  });
+});
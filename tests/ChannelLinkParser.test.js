@@ -0,0 +1,105 @@
+const fc = require('fast-check');
+const ChannelLinkParser = require('../src/utils/ChannelLinkParser');
+
+const parser = new ChannelLinkParser();
+
+const alphanumeric = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const letters = fc.constantFrom(...alphanumeric.slice(0, 52).split(''));
+const usernameChars = fc.constantFrom(...`${alphanumeric}_`.split(''));
+const hashChars = fc.constantFrom(...`${alphanumeric}_-`.split(''));
+
+const reserved = ['joinchat', 's', 'c', ...parser.reservedPaths];
+const username = fc
+  .tuple(letters, fc.array(usernameChars, { minLength: 4, maxLength: 31 }))
+  .map(([first, rest]) => first + rest.join(''))
+  .filter(value => !reserved.includes(value.toLowerCase()));
+const inviteHash = fc.array(hashChars, { minLength: 1, maxLength: 32 }).map(chars => chars.join(''));
+const channelId = fc.bigInt({ min: 1n, max: 10n ** 13n }).map(value => value.toString());
+const postId = fc.integer({ min: 1, max: 10 ** 6 });
+
+const prefix = fc.tuple(
+  fc.constantFrom('https://', 'http://', ''),
+  fc.constantFrom('', 'www.'),
+  fc.constantFrom('t.me', 'telegram.me', 'telegram.dog', 'T.ME')
+).map(([scheme, www, host]) => `${scheme}${www}${host}`);
+const trailingSlash = fc.constantFrom('', '/');
+
+describe('ChannelLinkParser', () => {
+  test('parses web links to public channels into their username', () => {
+    fc.assert(fc.property(prefix, fc.constantFrom('', 's/'), username, trailingSlash, (base, preview, name, slash) => {
+      expect(parser.parse(`${base}/${preview}${name}${slash}`)).toMatchObject({
+        type: 'username',
+        username: name,
+        postId: null
+      });
+    }));
+  });
+
+  test('keeps the post id of post links', () => {
+    fc.assert(fc.property(prefix, username, postId, trailingSlash, (base, name, post, slash) => {
+      expect(parser.parse(`${base}/${name}/${post}${slash}`)).toMatchObject({
+        type: 'username',
+        username: name,
+        postId: post
+      });
+    }));
+  });
+
+  test('parses tg://resolve links', () => {
+    fc.assert(fc.property(username, fc.option(postId, { nil: null }), (name, post) => {
+      const url = `tg://resolve?domain=${name}${post ? `&post=${post}` : ''}`;
+      expect(parser.parse(url)).toMatchObject({ type: 'username', username: name, postId: post });
+    }));
+  });
+
+  test('parses every invite link form into the same hash', () => {
+    fc.assert(fc.property(prefix, inviteHash, trailingSlash, (base, hash, slash) => {
+      for (const url of [
+        `${base}/+${hash}${slash}`,
+        `${base}/%2B${hash}${slash}`,
+        `${base}/joinchat/${hash}${slash}`,
+        `tg://join?invite=${hash}`
+      ]) {
+        expect(parser.parse(url)).toMatchObject({ type: 'invite', inviteHash: hash });
+      }
+    }));
+  });
+
+  test('parses private channel links', () => {
+    fc.assert(fc.property(prefix, channelId, postId, (base, id, post) => {
+      expect(parser.parse(`${base}/c/${id}/${post}`)).toMatchObject({ type: 'private', channelId: id, postId: post });
+      expect(parser.parse(`tg://privatepost?channel=${id}&post=${post}`)).toMatchObject({ type: 'private', channelId: id, postId: post });
+    }));
+  });
+
+  test('rejects bot start links', () => {
+    fc.assert(fc.property(
+      prefix,
+      username,
+      fc.constantFrom('start', 'startgroup', 'startapp'),
+      fc.stringMatching(/^[a-zA-Z0-9_-]{0,20}$/),
+      (base, name, parameter, value) => {
+        expect(parser.parse(`${base}/${name}?${parameter}=${value}`)).toBeNull();
+        expect(parser.parse(`tg://resolve?domain=${name}&${parameter}=${value}`)).toBeNull();
+      }
+    ));
+  });
+
+  test('rejects links to other hosts and non-chat t.me paths', () => {
+    fc.assert(fc.property(username, fc.constantFrom(...parser.reservedPaths), (name, path) => {
+      expect(parser.parse(`https://example.com/${name}`)).toBeNull();
+      expect(parser.parse(`https://t.me/${path}/${name}`)).toBeNull();
+    }));
+  });
+
+  test('keeps the original url', () => {
+    expect(parser.parse(' https://t.me/example_channel/ ').originalUrl).toBe(' https://t.me/example_channel/ ');
+  });
+
+  test('never throws on arbitrary input', () => {
+    fc.assert(fc.property(fc.oneof(fc.string(), fc.webUrl(), fc.constant(null)), (value) => {
+      const result = parser.parse(value);
+      expect(result === null || typeof result === 'object').toBe(true);
+    }));
+  });
+});
@@ -0,0 +1,111 @@
+const DeletionScheduler = require('../src/lib/DeletionScheduler');
+const { useTempDir } = require('./helpers/tempDir');
+
+const logger = { log: () => {} };
+const HOUR = 3600000;
+const dataFile = useTempDir('deletion-scheduler-');
+
+const request = { id: 'request-1', chatId: 100, userId: 100 };
+const createBot = () => ({
+  sendMessage: jest.fn().mockResolvedValue(900),
+  editMessage: jest.fn().mockResolvedValue(true),
+  deleteMessage: jest.fn().mockResolvedValue(true)
+});
+const createScheduler = (telegramBot) => new DeletionScheduler(dataFile('deletions.json'), telegramBot, logger);
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('DeletionScheduler', () => {
+  test('warns once scheduled and deletes the media and the warning when the time is up', async () => {
+    const telegramBot = createBot();
+    const scheduler = createScheduler(telegramBot);
+    scheduler.track(request, 1);
+    scheduler.track(request, 2);
+    await scheduler.schedule(request, 60);
+
+    expect(telegramBot.sendMessage).toHaveBeenCalledWith(100, '⚠️ Media will be automatically deleted in 01:00.');
+    expect(scheduler.getPendingRequests()).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(telegramBot.deleteMessage.mock.calls).toEqual([[100, 1], [100, 2], [100, 900]]);
+    expect(scheduler.jobs).toEqual([]);
+  });
+
+  test('adds media that arrives after scheduling to the same deletion', async () => {
+    const telegramBot = createBot();
+    const scheduler = createScheduler(telegramBot);
+    scheduler.track(request, 1);
+    await scheduler.schedule(request, 60);
+    scheduler.track(request, 2);
+
+    expect(scheduler.jobs[0].messageIds).toEqual([1, 2]);
+    expect(scheduler.getPendingRequests()).toEqual([]);
+  });
+
+  test('keeps the media when auto-deletion is off', async () => {
+    const telegramBot = createBot();
+    const scheduler = createScheduler(telegramBot);
+    scheduler.track(request, 1);
+    await scheduler.schedule(request, 0);
+
+    expect(scheduler.jobs).toEqual([]);
+    expect(scheduler.getPendingRequests()).toEqual([]);
+    expect(telegramBot.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('never schedules a deletion more than 48 hours ahead', async () => {
+    const scheduler = createScheduler(createBot());
+    scheduler.track(request, 1);
+    await scheduler.schedule(request, 72 * 3600);
+
+    expect(scheduler.jobs[0].deleteAt).toBe(Date.now() + 48 * HOUR);
+  });
+
+  test('tells the user about media Telegram refused to delete', async () => {
+    const telegramBot = createBot();
+    telegramBot.deleteMessage.mockResolvedValueOnce(false);
+    const scheduler = createScheduler(telegramBot);
+    scheduler.track(request, 1);
+    await scheduler.schedule(request, 60);
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(telegramBot.sendMessage).toHaveBeenLastCalledWith(100, '⚠️ 1 message(s) could not be deleted automatically. Please delete them yourself.');
+  });
+
+  test('reloads media of unfinished requests and scheduled deletions after a restart', async () => {
+    const scheduler = createScheduler(createBot());
+    scheduler.track(request, 1);
+    await scheduler.schedule(request, 2 * 3600);
+    scheduler.track({ id: 'request-2', chatId: 200, userId: 300 }, 5);
+    jest.clearAllTimers();
+
+    const telegramBot = createBot();
+    const restored = createScheduler(telegramBot);
+    expect(restored.getPendingRequests()).toEqual([{ id: 'request-2', chatId: 200, userId: 300 }]);
+    expect(restored.restore()).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(HOUR);
+    expect(telegramBot.editMessage).toHaveBeenCalledWith(100, 900, '⚠️ Media will be automatically deleted in 1:00:00.');
+    await jest.advanceTimersByTimeAsync(HOUR);
+    expect(telegramBot.deleteMessage.mock.calls).toEqual([[100, 1], [100, 900]]);
+  });
+
+  test('runs deletions that fell due while the process was down right away', async () => {
+    const scheduler = createScheduler(createBot());
+    scheduler.track(request, 1);
+    await scheduler.schedule(request, 60);
+    jest.clearAllTimers();
+    jest.setSystemTime(Date.now() + HOUR);
+
+    const telegramBot = createBot();
+    createScheduler(telegramBot).restore();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(telegramBot.deleteMessage.mock.calls).toEqual([[100, 1], [100, 900]]);
+  });
+});
@@ -0,0 +1,73 @@
+const fc = require('fast-check');
+const LinkParser = require('../src/utils/LinkParser');
+
+const parser = new LinkParser();
+
+const alphanumeric = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const botUsername = fc
+  .tuple(
+    fc.constantFrom(...alphanumeric.slice(0, 52).split('')),
+    fc.array(fc.constantFrom(...`${alphanumeric}_`.split('')), { minLength: 2, maxLength: 28 })
+  )
+  .map(([first, rest]) => `${first}${rest.join('')}bot`);
+const parameter = fc.stringMatching(/^[a-zA-Z0-9_-]{1,64}$/);
+const linkType = fc.constantFrom('start', 'startapp', 'startgroup');
+const webPrefix = fc.tuple(
+  fc.constantFrom('https://', 'http://', ''),
+  fc.constantFrom('t.me', 'telegram.me', 'telegram.dog')
+).map(([scheme, host]) => `${scheme}${host}`);
+
+describe('LinkParser', () => {
+  test('recognizes every start link form with its link type', () => {
+    fc.assert(fc.property(webPrefix, botUsername, linkType, parameter, fc.boolean(), (base, name, type, value, extra) => {
+      const url = `${base}/${name}?${type}=${value}${extra ? '&ref=channel' : ''}`;
+      expect(parser.extractBotLinks(`Get it here: ${url}`)).toEqual([
+        { botUsername: name, startParameter: value, linkType: type, originalUrl: url }
+      ]);
+    }));
+  });
+
+  test('recognizes tg://resolve links', () => {
+    fc.assert(fc.property(botUsername, linkType, parameter, (name, type, value) => {
+      const [link] = parser.extractBotLinks(`tg://resolve?domain=${name}&${type}=${value}`);
+      expect(link).toMatchObject({ botUsername: name, startParameter: value, linkType: type });
+    }));
+  });
+
+  test('removes duplicates case-insensitively on the username', () => {
+    fc.assert(fc.property(botUsername, parameter, (name, value) => {
+      const text = `https://t.me/${name}?start=${value} t.me/${name.toUpperCase()}?start=${value}`;
+      expect(parser.extractBotLinks(text)).toHaveLength(1);
+    }));
+  });
+
+  test('reads MTProto and Bot API entities alike', () => {
+    const text = 'first link and second link, plus t.me/ThirdBot?start=c';
+    const mtproto = [
+      { className: 'MessageEntityTextUrl', offset: 0, length: 10, url: 'https://t.me/FirstBot?start=a' },
+      { className: 'MessageEntityUrl', offset: 33, length: 22 }
+    ];
+    const botApi = [
+      { type: 'text_link', offset: 0, length: 10, url: 'https://t.me/FirstBot?start=a' },
+      { type: 'url', offset: 33, length: 22 }
+    ];
+
+    for (const entities of [mtproto, botApi]) {
+      expect(parser.extractBotLinks(text, entities).map(link => link.botUsername)).toEqual(['FirstBot', 'ThirdBot']);
+    }
+  });
+
+  test('reads URL buttons of Bot API and MTProto keyboards', () => {
+    const botApi = { inline_keyboard: [[{ text: 'Get file', url: 'https://t.me/FileBot?start=a' }, { text: 'Vote', callback_data: 'v' }]] };
+    const mtproto = { rows: [{ buttons: [{ text: 'Channel', url: 'https://t.me/some_channel' }] }, { buttons: [{ text: 'Get file', url: 'https://t.me/FileBot?start=a' }] }] };
+
+    for (const replyMarkup of [botApi, mtproto]) {
+      expect(parser.extractBotLinks('', [], replyMarkup)).toMatchObject([{ botUsername: 'FileBot', startParameter: 'a' }]);
+    }
+  });
+
+  test('ignores channel links, other hosts and sentence punctuation', () => {
+    expect(parser.extractBotLinks('t.me/some_channel robot.me/FileBot?start=x')).toEqual([]);
+    expect(parser.extractBotLinks('Open t.me/FileBot?start=abc.')[0].startParameter).toBe('abc');
+  });
+});
@@ -0,0 +1,40 @@
+const { getMediaType, describeMediaType } = require('../src/utils/MediaType');
+
+const documentMessage = (...attributes) => ({
+  media: { className: 'MessageMediaDocument', document: { attributes } }
+});
+
+describe('getMediaType', () => {
+  test('tells document-based media apart by their attributes', () => {
+    expect(getMediaType(documentMessage({ className: 'DocumentAttributeAudio', voice: true }))).toBe('voice');
+    expect(getMediaType(documentMessage({ className: 'DocumentAttributeAudio', voice: false }))).toBe('audio');
+    expect(getMediaType(documentMessage({ className: 'DocumentAttributeVideo', roundMessage: true }))).toBe('video_note');
+    expect(getMediaType(documentMessage({ className: 'DocumentAttributeVideo' }, { className: 'DocumentAttributeAnimated' }))).toBe('animation');
+    expect(getMediaType(documentMessage({ className: 'DocumentAttributeVideo' }))).toBe('video');
+    expect(getMediaType(documentMessage({ className: 'DocumentAttributeSticker' }, { className: 'DocumentAttributeVideo' }))).toBe('sticker');
+    expect(getMediaType(documentMessage({ className: 'DocumentAttributeFilename' }))).toBe('document');
+  });
+
+  test('maps non-file media', () => {
+    expect(getMediaType({ media: { className: 'MessageMediaPhoto', photo: {} } })).toBe('photo');
+    expect(getMediaType({ media: { className: 'MessageMediaPoll' } })).toBe('poll');
+    expect(getMediaType({ media: { className: 'MessageMediaContact' } })).toBe('contact');
+    expect(getMediaType({ media: { className: 'MessageMediaGeoLive' } })).toBe('location');
+    expect(getMediaType({ media: { className: 'MessageMediaVenue' } })).toBe('venue');
+    expect(getMediaType({ media: { className: 'MessageMediaDice' } })).toBe('dice');
+  });
+
+  test('ignores messages without relayable media', () => {
+    expect(getMediaType({})).toBeNull();
+    expect(getMediaType({ media: { className: 'MessageMediaWebPage' } })).toBeNull();
+    expect(getMediaType({ media: { className: 'MessageMediaPhoto' } })).toBeNull();
+  });
+});
+
+describe('describeMediaType', () => {
+  test('labels every type', () => {
+    expect(describeMediaType('video_note')).toBe('video message');
+    expect(describeMediaType('animation')).toBe('GIF');
+    expect(describeMediaType(undefined)).toBe('media');
+  });
+});
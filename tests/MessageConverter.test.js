@@ -0,0 +1,73 @@
+const { toBotApiDescriptor, toBotApiEntities, getFileInfo } = require('../src/utils/MessageConverter');
+
+describe('toBotApiEntities', () => {
+  test('keeps offsets and drops entities the Bot API cannot express', () => {
+    const entities = [
+      { className: 'MessageEntityBold', offset: 0, length: 4 },
+      { className: 'MessageEntityTextUrl', offset: 5, length: 4, url: 'https://example.com' },
+      { className: 'MessageEntityPre', offset: 10, length: 3, language: 'js' },
+      { className: 'MessageEntityCustomEmoji', offset: 14, length: 2 }
+    ];
+
+    expect(toBotApiEntities(entities)).toEqual([
+      { type: 'bold', offset: 0, length: 4 },
+      { type: 'text_link', offset: 5, length: 4, url: 'https://example.com' },
+      { type: 'pre', offset: 10, length: 3, language: 'js' }
+    ]);
+  });
+});
+
+describe('getFileInfo', () => {
+  test('reads name, type and size of documents', () => {
+    const message = {
+      media: {
+        className: 'MessageMediaDocument',
+        document: { size: 2048, mimeType: 'application/zip', attributes: [{ className: 'DocumentAttributeFilename', fileName: 'pack.zip' }] }
+      }
+    };
+    expect(getFileInfo(message)).toEqual({ fileName: 'pack.zip', mimeType: 'application/zip', size: 2048 });
+  });
+
+  test('uses the largest photo size', () => {
+    const message = {
+      media: {
+        className: 'MessageMediaPhoto',
+        photo: { sizes: [{ size: 100 }, { sizes: [200, 900, 4000] }, { bytes: [] }] }
+      }
+    };
+    expect(getFileInfo(message).size).toBe(4000);
+  });
+});
+
+describe('toBotApiDescriptor', () => {
+  test('turns text-only messages into text descriptors', () => {
+    const message = { message: 'Code: 1234', entities: [{ className: 'MessageEntityCode', offset: 6, length: 4 }] };
+    expect(toBotApiDescriptor(message)).toEqual({
+      type: 'text',
+      text: 'Code: 1234',
+      entities: [{ type: 'code', offset: 6, length: 4 }]
+    });
+  });
+
+  test('describes non-file media by content', () => {
+    expect(toBotApiDescriptor({ media: { className: 'MessageMediaGeo', geo: { lat: 1.5, long: 2.5 } } }))
+      .toEqual({ type: 'location', latitude: 1.5, longitude: 2.5 });
+    expect(toBotApiDescriptor({ media: { className: 'MessageMediaDice', emoticon: '🎲' } }))
+      .toEqual({ type: 'dice', emoji: '🎲' });
+    expect(toBotApiDescriptor({
+      media: { className: 'MessageMediaPoll', poll: { question: { text: 'Best?' }, answers: [{ text: { text: 'A' } }, { text: { text: 'B' } }] } }
+    })).toMatchObject({ type: 'poll', question: 'Best?', options: ['A', 'B'] });
+  });
+
+  test('marks file media for download', () => {
+    const message = { media: { className: 'MessageMediaDocument', document: { size: 10, attributes: [{ className: 'DocumentAttributeAudio', voice: true }] } } };
+    expect(toBotApiDescriptor(message)).toEqual({
+      type: 'voice',
+      fileInfo: { fileName: 'file', mimeType: 'application/octet-stream', size: 10 }
+    });
+  });
+
+  test('returns null for messages with nothing to deliver', () => {
+    expect(toBotApiDescriptor({ message: '' })).toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+const RateLimiter = require('../src/lib/RateLimiter');
+const SettingsStore = require('../src/lib/SettingsStore');
+const { useTempDir } = require('./helpers/tempDir');
+
+const logger = { log: () => {} };
+const HOUR = 3600000;
+const limits = { linksPerMessage: 3, requestsPerHour: 2, joinsPerDay: 5, queuedRequests: 1 };
+const dataFile = useTempDir('rate-limiter-');
+
+const createLimiter = (settingsStore = null) => new RateLimiter(dataFile('rate-limits.json'), logger, limits, settingsStore);
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('RateLimiter', () => {
+  test('accepts requests within every limit', () => {
+    const limiter = createLimiter();
+    expect(limiter.checkLinks(1, 3)).toBeNull();
+    expect(limiter.check(1, 0)).toBeNull();
+  });
+
+  test('caps the links per message on their own', () => {
+    const limiter = createLimiter();
+    limiter.recordRequest(1);
+    limiter.recordRequest(1);
+
+    expect(limiter.checkLinks(1, 4)).toEqual({ limit: 'linksPerMessage', max: 3, retryIn: 0 });
+    expect(limiter.checkLinks(1, 3)).toBeNull();
+  });
+
+  test('reports the first limit hit in a fixed order', () => {
+    const limiter = createLimiter();
+    limiter.recordRequest(1);
+    limiter.recordRequest(1);
+    for (let i = 0; i < 5; i++) {
+      limiter.recordJoin(1);
+    }
+
+    expect(limiter.check(1, 1)).toMatchObject({ limit: 'queuedRequests', max: 1, retryIn: 0 });
+    expect(limiter.check(1, 0)).toMatchObject({ limit: 'requestsPerHour', max: 2 });
+    jest.advanceTimersByTime(HOUR);
+    expect(limiter.check(1, 0)).toMatchObject({ limit: 'joinsPerDay', max: 5 });
+  });
+
+  test('counts only requests inside the window and says when the oldest one expires', () => {
+    const limiter = createLimiter();
+    limiter.recordRequest(1);
+    jest.advanceTimersByTime(20 * 60000);
+    limiter.recordRequest(1);
+
+    expect(limiter.check(1, 0)).toEqual({ limit: 'requestsPerHour', max: 2, retryIn: 40 * 60 });
+
+    jest.advanceTimersByTime(40 * 60000 + 1);
+    expect(limiter.check(1, 0)).toBeNull();
+    expect(limiter.getUsage(1).requestsThisHour).toBe(1);
+  });
+
+  test('keeps users apart', () => {
+    const limiter = createLimiter();
+    limiter.recordRequest(1);
+    limiter.recordRequest(1);
+
+    expect(limiter.check(1, 0)).not.toBeNull();
+    expect(limiter.check(2, 0)).toBeNull();
+  });
+
+  test('applies per-user overrides, where 0 means unlimited', () => {
+    const settingsStore = new SettingsStore(dataFile('settings.json'), logger);
+    settingsStore.set('user', 1, 'requestsPerHour', 0);
+    settingsStore.set('user', 2, 'linksPerMessage', 1);
+    const limiter = createLimiter(settingsStore);
+
+    for (let i = 0; i < 5; i++) {
+      limiter.recordRequest(1);
+    }
+    expect(limiter.check(1, 0)).toBeNull();
+    expect(limiter.checkLinks(2, 2)).toMatchObject({ limit: 'linksPerMessage', max: 1 });
+    expect(limiter.getLimits(3)).toEqual(limits);
+  });
+
+  test('drops expired timestamps on cleanup and keeps the rest across restarts', () => {
+    const limiter = createLimiter();
+    limiter.recordRequest(1);
+    limiter.recordJoin(2);
+    jest.advanceTimersByTime(HOUR + 1);
+    limiter.recordRequest(3);
+    limiter.cleanup();
+
+    expect(Object.keys(limiter.requests)).toEqual(['3']);
+    expect(Object.keys(limiter.joins)).toEqual(['2']);
+
+    const restored = createLimiter();
+    expect(restored.getUsage(3).requestsThisHour).toBe(1);
+    expect(restored.getUsage(2).joinsToday).toBe(1);
+  });
+});
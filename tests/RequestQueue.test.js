@@ -0,0 +1,84 @@
+const RequestQueue = require('../src/lib/RequestQueue');
+const RequestStore = require('../src/lib/RequestStore');
+const { useTempDir } = require('./helpers/tempDir');
+
+const logger = { log: () => {} };
+const MINUTE = 60000;
+const dataFile = useTempDir('request-queue-');
+
+const createStore = () => new RequestStore(dataFile('requests.json'), logger);
+const request = (id, status, extra = {}) => ({
+  id,
+  chatId: 1,
+  userId: 1,
+  botLinks: [{ botUsername: `${id}_bot`, startParameter: 'x' }],
+  timestamp: new Date(),
+  status,
+  ...extra
+});
+
+const restoreQueue = (options) => {
+  // Paused, so restored requests stay where restore() put them
+  const queue = new RequestQueue(10, logger, createStore(), options);
+  queue.pause();
+  return { queue, result: queue.restore() };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('RequestQueue.restore', () => {
+  test('re-queues waiting requests and requests interrupted fewer times than allowed', () => {
+    const store = createStore();
+    store.save(request('a', 'queued'));
+    store.save(request('b', 'processing'));
+
+    const { queue, result } = restoreQueue();
+    expect(result.resumed.map(item => item.id)).toEqual(['a', 'b']);
+    expect(queue.getQueuedRequests().map(item => item.id)).toEqual(['a', 'b']);
+    expect(createStore().requests.get('b')).toMatchObject({ status: 'queued', interruptions: 1 });
+  });
+
+  test('fails a processing request that was interrupted more than maxInterruptions times', () => {
+    createStore().save(request('a', 'processing', { interruptions: 1 }));
+
+    const { queue, result } = restoreQueue({ maxInterruptions: 1 });
+    expect(result.failed.map(item => item.id)).toEqual(['a']);
+    expect(queue.getQueuedRequests()).toEqual([]);
+    expect(createStore().requests.get('a')).toMatchObject({ status: 'failed', interruptions: 2 });
+    expect(createStore().getPending()).toEqual([]);
+  });
+
+  test('re-arms the resume timer of parked requests', () => {
+    createStore().save(request('a', 'parked', {
+      resumeAt: Date.now() + 5 * MINUTE,
+      resumeState: { linkIndex: 1, channelIndex: 3, joinedCount: 2 }
+    }));
+
+    const { queue, result } = restoreQueue();
+    const resumed = jest.fn();
+    queue.on('requestResumed', resumed);
+    expect(result.parked.map(item => item.id)).toEqual(['a']);
+    expect(queue.getParkedRequests().map(item => item.id)).toEqual(['a']);
+
+    jest.advanceTimersByTime(5 * MINUTE - 1);
+    expect(resumed).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(resumed).toHaveBeenCalledTimes(1);
+    expect(queue.getParkedRequests()).toEqual([]);
+    expect(queue.getQueuedRequests()[0]).toMatchObject({ id: 'a', status: 'queued', resumeState: { linkIndex: 1, channelIndex: 3 } });
+  });
+
+  test('resumes parked requests whose wait ran out while the process was down', () => {
+    createStore().save(request('a', 'parked', { resumeAt: Date.now() - MINUTE }));
+
+    const { queue } = restoreQueue();
+    jest.advanceTimersByTime(0);
+    expect(queue.getQueuedRequests().map(item => item.id)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,55 @@
+const RequestStore = require('../src/lib/RequestStore');
+const { useTempDir } = require('./helpers/tempDir');
+
+const logger = { log: () => {} };
+const dataFile = useTempDir('request-store-');
+
+const createStore = (maxFinished) => new RequestStore(dataFile('requests.json'), logger, maxFinished);
+const request = (id, status) => ({ id, chatId: 1, userId: 1, botLinks: [], timestamp: new Date(), status });
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('RequestStore', () => {
+  test('returns queued, processing and parked requests oldest first, across restarts', () => {
+    const store = createStore();
+    store.save(request('b', 'parked'));
+    jest.advanceTimersByTime(1000);
+    store.save(request('a', 'queued'));
+    store.save(request('c', 'completed'));
+    jest.advanceTimersByTime(1000);
+    store.save({ ...request('d', 'processing'), resumeState: { linkIndex: 1, channelIndex: 2, joinedCount: 1 } });
+
+    const pending = createStore().getPending();
+    expect(pending.map(item => item.id)).toEqual(['b', 'a', 'd']);
+    expect(pending[0].timestamp).toBeInstanceOf(Date);
+    expect(pending[2].resumeState).toEqual({ linkIndex: 1, channelIndex: 2, joinedCount: 1 });
+  });
+
+  test('keeps only the most recently finished requests', () => {
+    const store = createStore(2);
+    for (const [id, status] of [['a', 'completed'], ['b', 'failed'], ['c', 'cancelled'], ['d', 'queued']]) {
+      store.save(request(id, status));
+      jest.advanceTimersByTime(1000);
+    }
+
+    expect(Array.from(store.requests.keys()).sort()).toEqual(['b', 'c', 'd']);
+
+    // Finishing a request makes it the newest, whatever its age
+    store.save(request('a', 'completed'));
+    expect(Array.from(createStore(2).requests.keys()).sort()).toEqual(['a', 'c', 'd']);
+  });
+
+  test('forgets removed requests', () => {
+    const store = createStore();
+    store.save(request('a', 'queued'));
+    store.remove('a');
+
+    expect(createStore().getPending()).toEqual([]);
+  });
+});
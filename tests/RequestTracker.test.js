@@ -0,0 +1,90 @@
+const RequestTracker = require('../src/lib/RequestTracker');
+
+const logger = { log: () => {} };
+const FORWARD_DATE = 1704067200;
+
+const route = (requestId) => ({ requestId, endUserId: 200, endUserChatId: 200, link: { botUsername: 'example_bot' } });
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('RequestTracker', () => {
+  test('resolves a forward to the relay with the same account, date and sender, once', () => {
+    const tracker = new RequestTracker(logger);
+    tracker.registerRelay(1, FORWARD_DATE, '500', route('a'));
+
+    expect(tracker.resolveRelay(1, FORWARD_DATE, 500)).toMatchObject({ requestId: 'a', endUserChatId: 200 });
+    expect(tracker.resolveRelay(1, FORWARD_DATE, 500)).toBeNull();
+    expect(tracker.pendingRelays.size).toBe(0);
+  });
+
+  test('matches forwards of channel posts by account and date alone', () => {
+    const tracker = new RequestTracker(logger);
+    tracker.registerRelay(1, FORWARD_DATE, null, route('a'));
+
+    expect(tracker.resolveRelay(1, FORWARD_DATE, '500')).toBeNull();
+    expect(tracker.resolveRelay(1, FORWARD_DATE, null)).toMatchObject({ requestId: 'a' });
+  });
+
+  test('ignores forwards relayed by a different account', () => {
+    const tracker = new RequestTracker(logger);
+    tracker.registerRelay(1, FORWARD_DATE, '500', route('a'));
+
+    expect(tracker.resolveRelay(2, FORWARD_DATE, '500')).toBeNull();
+    expect(tracker.resolveRelay(1, FORWARD_DATE, '500')).toMatchObject({ requestId: 'a' });
+  });
+
+  test('ignores forwards with a different original date', () => {
+    const tracker = new RequestTracker(logger);
+    tracker.registerRelay(1, FORWARD_DATE, '500', route('a'));
+
+    expect(tracker.resolveRelay(1, FORWARD_DATE + 1, '500')).toBeNull();
+  });
+
+  test('hands identical forwards to the requests in the order they were relayed', () => {
+    const tracker = new RequestTracker(logger);
+    tracker.registerRelay(1, FORWARD_DATE, '500', route('a'));
+    tracker.registerRelay(1, FORWARD_DATE, '500', route('b'));
+
+    expect(tracker.resolveRelay(1, FORWARD_DATE, '500').requestId).toBe('a');
+    expect(tracker.resolveRelay(1, FORWARD_DATE, '500').requestId).toBe('b');
+  });
+
+  test('a cancelled relay no longer matches', () => {
+    const tracker = new RequestTracker(logger);
+    const relay = tracker.registerRelay(1, FORWARD_DATE, '500', route('a'));
+
+    expect(tracker.cancelRelay(1, relay)).toBe(true);
+    expect(tracker.cancelRelay(1, relay)).toBe(false);
+    expect(tracker.resolveRelay(1, FORWARD_DATE, '500')).toBeNull();
+  });
+
+  test('cleanup drops only relays older than the maximum age', () => {
+    const tracker = new RequestTracker(logger);
+    tracker.registerRelay(1, FORWARD_DATE, '500', route('a'));
+    tracker.registerRelay(2, FORWARD_DATE, '500', route('b'));
+    jest.advanceTimersByTime(5 * 60000);
+    tracker.registerRelay(1, FORWARD_DATE + 1, '500', route('c'));
+    jest.advanceTimersByTime(5 * 60000 + 1);
+    tracker.cleanup();
+
+    expect(tracker.resolveRelay(1, FORWARD_DATE, '500')).toBeNull();
+    expect(tracker.resolveRelay(1, FORWARD_DATE + 1, '500')).toMatchObject({ requestId: 'c' });
+    expect(tracker.pendingRelays.has('2')).toBe(false);
+  });
+
+  test('keeps only the most recent quarantined messages', () => {
+    const tracker = new RequestTracker(logger, 2);
+    for (let messageId = 1; messageId <= 3; messageId++) {
+      tracker.quarantine(500, { chat: { id: 1 }, message_id: messageId }, 'no matching relay');
+    }
+
+    expect(tracker.quarantined.map(entry => entry.messageId)).toEqual([2, 3]);
+    expect(tracker.quarantined[0].senderId).toBe('500');
+  });
+});
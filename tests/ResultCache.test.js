@@ -0,0 +1,137 @@
+const ResultCache = require('../src/lib/ResultCache');
+const { useTempDir } = require('./helpers/tempDir');
+
+const logger = { log: () => {} };
+const TTL = 3600;
+const dataFile = useTempDir('result-cache-');
+
+const link = { botUsername: 'Example_Bot', startParameter: 'abc' };
+const photo = (fileId) => ({ type: 'photo', fileId });
+const createCache = (ttl = TTL) => new ResultCache(dataFile('cache.json'), ttl, logger);
+
+const cacheResult = (cache, ...media) => {
+  cache.begin(link);
+  media.forEach(() => cache.expect(link));
+  media.forEach(item => cache.addMedia(link, item));
+  cache.commit(link);
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('ResultCache', () => {
+  test('serves an entry once the link succeeded and every expected message arrived', () => {
+    const cache = createCache();
+    cache.begin(link);
+    cache.expect(link);
+    cache.expect(link);
+    cache.addMedia(link, photo('a'));
+    cache.commit(link);
+    expect(cache.get(link)).toBeNull();
+
+    cache.addMedia(link, photo('b'));
+    expect(cache.get(link).media).toEqual([photo('a'), photo('b')]);
+  });
+
+  test('settles when the last delivery lands after the commit or before it', () => {
+    const cache = createCache();
+    cache.begin(link);
+    cache.expect(link);
+    cache.addMedia(link, photo('a'));
+    expect(cache.get(link)).toBeNull();
+
+    cache.commit(link);
+    expect(cache.get(link)).not.toBeNull();
+  });
+
+  test('counts every item of an album as a delivery', () => {
+    const cache = createCache();
+    cache.begin(link);
+    cache.expect(link);
+    cache.expect(link);
+    cache.commit(link);
+    cache.addMedia(link, { type: 'album', items: [photo('a'), photo('b')] });
+
+    expect(cache.get(link).media).toHaveLength(1);
+  });
+
+  test('never serves an entry with a failed delivery or no media', () => {
+    const cache = createCache();
+    cache.begin(link);
+    cache.expect(link);
+    cache.expect(link);
+    cache.addMedia(link, photo('a'));
+    cache.fail(link);
+    cache.commit(link);
+    cache.addMedia(link, photo('b'));
+    expect(cache.get(link)).toBeNull();
+
+    cache.begin(link);
+    cache.commit(link);
+    expect(cache.get(link)).toBeNull();
+  });
+
+  test('leaves complete entries alone until the link is processed again', () => {
+    const cache = createCache();
+    cacheResult(cache, photo('a'));
+    cache.addMedia(link, photo('b'));
+
+    expect(cache.get(link).media).toEqual([photo('a')]);
+  });
+
+  test('matches bot usernames regardless of case', () => {
+    const cache = createCache();
+    cacheResult(cache, photo('a'));
+
+    expect(cache.get({ ...link, botUsername: 'example_bot' })).not.toBeNull();
+    expect(cache.get({ ...link, startParameter: 'other' })).toBeNull();
+  });
+
+  test('expires entries after the TTL and removes them on cleanup', () => {
+    const cache = createCache();
+    cacheResult(cache, photo('a'));
+
+    jest.advanceTimersByTime(TTL * 1000);
+    expect(cache.get(link)).not.toBeNull();
+    jest.advanceTimersByTime(1);
+    expect(cache.get(link)).toBeNull();
+
+    cache.cleanup();
+    expect(cache.getStats().entries).toBe(0);
+  });
+
+  test('drops invalidated entries', () => {
+    const cache = createCache();
+    cacheResult(cache, photo('a'));
+
+    expect(cache.invalidate(link)).toBe(true);
+    expect(cache.get(link)).toBeNull();
+    expect(cache.invalidate(link)).toBe(false);
+  });
+
+  test('keeps entries and stats across restarts', () => {
+    const cache = createCache();
+    cacheResult(cache, photo('a'));
+    cache.recordHit(link);
+    cache.recordMiss(link);
+    cache.recordMiss(link);
+
+    const restored = createCache();
+    expect(restored.get(link).media).toEqual([photo('a')]);
+    expect(restored.getStats()).toEqual({ hits: 1, misses: 2, hitRate: 1 / 3, entries: 1 });
+  });
+
+  test('does nothing with a TTL of 0', () => {
+    const cache = createCache(0);
+    cacheResult(cache, photo('a'));
+
+    expect(cache.isEnabled()).toBe(false);
+    expect(cache.get(link)).toBeNull();
+    expect(cache.getStats().entries).toBe(0);
+  });
+});
@@ -0,0 +1,24 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Gives every test in the calling file a fresh data directory, removed again after the test
+ * @param {string} prefix - Directory name prefix
+ * @returns {function(string): string} Resolves a file name inside the current test's directory
+ */
+function useTempDir(prefix) {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  return (fileName) => path.join(dir, fileName);
+}
+
+module.exports = { useTempDir };